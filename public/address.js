@@ -3,6 +3,7 @@
  * @module public/address
  */
 
+import { expandCoords } from './geo.js';
 import { compressWhitespace,
          removeAccents,
          removePunctuation } from './string.js';
@@ -108,3 +109,36 @@ export function splitStreetAddress(address) {
     const [num, ...etc] = address.split(' ');
     return [num, etc.join(' ')];
 }
+
+/**
+ * Standardize a street name, to match SF street address data.
+ *
+ * @param {string} street - A street name, e.g. "Sloat Boulevard"
+ * @returns {string} A standardized street name, e.g. "SLOAT BLVD"
+ */
+export function standardizeStreet(street) {
+    street = compressWhitespace(removeAccents(street)).toUpperCase();
+    return fixNumberedStreets(removePunctuation(replaceStreetSuffixes(street, true)));
+}
+
+/**
+ * Look up a street address in San Francisco, California.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @param {?string} address - A street address, e.g. "2995 Sloat Blvd"
+ * @returns {?LatLon} Degrees latitude and longitude, or null if not found
+ */
+export function lookupAddress(addressData, address) {
+    if (!address) {
+        return null;
+    }
+    const [num, street] = splitStreetAddress(address.trim());
+    if (!street || isNaN(num)) {
+        return null;
+    }
+    const std = standardizeStreet(street);
+    if (!(std in addressData) || !(num in addressData[std])) {
+        return null;
+    }
+    return expandCoords(addressData[std][num]);
+}
@@ -0,0 +1,107 @@
+/**
+ * Choose which table columns to show.
+ * @module public/column
+ */
+
+/**
+ * Get the table columns users may show or hide.
+ *
+ * @returns {Map} Column names and descriptions
+ */
+export function getColumns() {
+    return new Map([
+        ['score', 'My Score'],
+        ['code', 'SFUSD Code'],
+        ['grades', 'Grades'],
+        ['start', 'Start Time'],
+        ['slack', 'Slack'],
+        ['distance', 'Distance'],
+        ['minutes', 'Travel Time'],
+        ['anchorDistance', 'To 2nd Address'],
+        ['detour', 'Detour'],
+        ['neighborhood', 'Neighborhood'],
+        ['address', 'Address'],
+        ['usnews', 'US News'],
+        ['greatschools', 'GreatSchools'],
+        ['students', 'Students'],
+        ['teachers', 'Teachers'],
+        ['ratio', 'Student Teacher Ratio'],
+        ['reading', 'Reading'],
+        ['math', 'Math'],
+        ['science', 'Science'],
+        ['graduated', 'Graduated'],
+        ['minority', 'Minority'],
+        ['lowIncome', 'Low Income'],
+        ['gender', 'Male/Female'],
+        ['seatsPerApp', 'Seats/App'],
+        ['languages', 'Languages'],
+        ['feedsInto', 'Feeds Into'],
+    ]);
+}
+
+/**
+ * Determine whether any of the given schools have data in the given fields.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {Array.<string>} fields - School properties, e.g. reading
+ * @returns {boolean} Whether any school has a value, or a non-empty array
+ */
+export function hasData(schools, fields) {
+    for (const field of fields) {
+        for (const school of schools) {
+            if (Array.isArray(school[field])) {
+                if (school[field].length > 0) {
+                    return true;
+                }
+                continue;
+            }
+            if (school[field] !== null) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Find which columns ought to be shown, based on school data and user choices.
+ *
+ * Columns the user chose to hide are hidden, as are columns without data.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {Object.<string, boolean>} [columns={}] - Which columns the user chose to show
+ * @returns {Object.<string, boolean>} Which fields to show
+ */
+export function findShownColumns(schools, columns = {}) {
+    const shown = {};
+    for (const column of getColumns().keys()) {
+        shown[column] = columns[column] !== false;
+    }
+    const optional = {
+        score: ['score'],
+        code: ['code'],
+        slack: ['slack'],
+        distance: ['distance'],
+        minutes: ['minutes'],
+        anchorDistance: ['anchorDistance'],
+        detour: ['detour'],
+        usnews: ['usnews'],
+        greatschools: ['greatschools'],
+        teachers: ['teachers'],
+        ratio: ['ratio'],
+        reading: ['reading'],
+        math: ['math'],
+        science: ['science'],
+        graduated: ['graduated'],
+        minority: ['minority'],
+        lowIncome: ['lowIncome'],
+        gender: ['male', 'female'],
+        feedsInto: ['feedsInto'],
+    };
+    for (const column in optional) {
+        if (shown[column]) {
+            shown[column] = hasData(schools, optional[column]);
+        }
+    }
+    return shown;
+}
@@ -0,0 +1,240 @@
+/**
+ * Export school data in various formats.
+ * @module public/export
+ */
+
+/**
+ * Get the school properties to export, based on which columns are shown.
+ *
+ * @param {Object.<string, boolean>} shown - Which fields are shown
+ * @returns {Array.<string>} School properties, e.g. reading
+ */
+export function getExportFields(shown) {
+    const columns = {
+        score: ['score'],
+        code: ['code'],
+        grades: ['pk', 'tk', 'k', 'min', 'max'],
+        start: ['start'],
+        slack: ['slack'],
+        distance: ['distance'],
+        minutes: ['minutes'],
+        anchorDistance: ['anchorDistance'],
+        detour: ['detour'],
+        neighborhood: ['neighborhood'],
+        address: ['address', 'zip'],
+        usnews: ['usnews'],
+        greatschools: ['greatschools'],
+        students: ['students'],
+        teachers: ['teachers'],
+        ratio: ['ratio'],
+        reading: ['reading'],
+        math: ['math'],
+        science: ['science'],
+        graduated: ['graduated'],
+        minority: ['minority'],
+        lowIncome: ['lowIncome'],
+        gender: ['male', 'female'],
+        seatsPerApp: ['seatsPerApp'],
+        languages: ['languages'],
+        feedsInto: ['feedsInto'],
+    };
+    const fields = ['prefix', 'name', 'suffix', 'campus', 'types', 'charter', 'application'];
+    for (const column in columns) {
+        if (shown[column]) {
+            fields.push(...columns[column]);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Describe how to apply to a school.
+ *
+ * Charter schools don't take part in SFUSD's enrollment process, so caregivers
+ * apply to each one directly, rather than ranking it with district schools.
+ *
+ * @param {School} school - Data about a school
+ * @returns {string} How to apply, e.g. SFUSD
+ */
+export function getApplication(school) {
+    return school.charter ? 'Apply directly' : 'SFUSD';
+}
+
+/**
+ * Copy the given properties of each school into new objects.
+ *
+ * The "application" field is derived from the school's charter status.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {Array.<string>} fields - School properties, e.g. reading
+ * @returns {Array.<Object>} Some data about some schools
+ */
+export function pickSchoolFields(schools, fields) {
+    const picked = [];
+    for (const school of schools) {
+        const data = {};
+        for (const field of fields) {
+            data[field] = school[field] ?? null;
+        }
+        if ('application' in data) {
+            data.application = getApplication(school);
+        }
+        // Distances are estimates, so more precision would be misleading.
+        for (const field of ['distance', 'anchorDistance', 'detour']) {
+            if (typeof data[field] === 'number') {
+                data[field] = isFinite(data[field])
+                    ? Math.round(data[field] * 100) / 100 : null;
+            }
+        }
+        picked.push(data);
+    }
+    return picked;
+}
+
+/**
+ * Format a value for a CSV file, quoting it if necessary.
+ *
+ * @param {*} value - A value, e.g. a string, number, or array
+ * @returns {string} A CSV field
+ */
+export function formatCSVField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        value = value.join('; ');
+    }
+    const str = value.toString();
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replaceAll('"', '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Convert school data to CSV, with a header row.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {Array.<string>} fields - School properties, e.g. reading
+ * @returns {string} Comma separated values
+ */
+export function schoolsToCSV(schools, fields) {
+    const lines = [fields.map(formatCSVField).join(',')];
+    for (const data of pickSchoolFields(schools, fields)) {
+        const values = fields.map(field => formatCSVField(data[field]));
+        lines.push(values.join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert school data to JSON.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {Array.<string>} fields - School properties, e.g. reading
+ * @returns {string} A JSON array of objects
+ */
+export function schoolsToJSON(schools, fields) {
+    return JSON.stringify(pickSchoolFields(schools, fields), null, 2);
+}
+
+/**
+ * Get every property of some schools, except their coordinates.
+ *
+ * Schools with a charter property also get an "application" field, as in other
+ * exports.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @returns {Array.<string>} School properties, e.g. reading
+ */
+export function getAllFields(schools) {
+    const fields = new Set();
+    for (const school of schools) {
+        for (const field in school) {
+            if (field !== 'll') {
+                fields.add(field);
+            }
+            if (field === 'charter') {
+                fields.add('application');
+            }
+        }
+    }
+    return [...fields];
+}
+
+/**
+ * Convert school data to a GeoJSON feature collection of points.
+ *
+ * Each school's coordinates become a point, so they don't need to be repeated
+ * as a property.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {Array.<string>} [fields] - School properties, e.g. reading, or all of them
+ * @returns {Object} A GeoJSON FeatureCollection
+ */
+export function schoolsToGeoJSON(schools, fields = getAllFields(schools)) {
+    const picked = pickSchoolFields(schools, fields);
+    const features = [];
+    for (let i = 0; i < schools.length; i++) {
+        const [lat, lon] = schools[i].ll;
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [lon, lat],
+            },
+            properties: picked[i],
+        });
+    }
+    return {
+        type: 'FeatureCollection',
+        features: features,
+    };
+}
+
+/**
+ * Number the district schools in a ranked list.
+ *
+ * Charter schools aren't part of SFUSD's ranking, since caregivers apply to
+ * them directly, so they aren't numbered.
+ *
+ * @param {Schools} schools - Data about some schools, in order of preference
+ * @param {Function} getKey - Gets a school's unique identifier
+ * @returns {Map.<string, ?number>} Ranks, or null for charter schools, by key
+ */
+export function numberRanked(schools, getKey) {
+    const ranks = new Map();
+    let rank = 0;
+    for (const school of schools) {
+        ranks.set(getKey(school), school.charter ? null : ++rank);
+    }
+    return ranks;
+}
+
+/**
+ * Format a ranked list as plain text, e.g. "1. 413 Alamo Elementary School".
+ *
+ * Charter schools are listed separately, since caregivers apply to them
+ * directly.
+ *
+ * @param {Schools} schools - Data about some schools, in order of preference
+ * @param {Function} getName - Gets a school's full name, e.g. Alamo Elementary School
+ * @returns {string} The ranked list, as plain text
+ */
+export function formatRankedList(schools, getName) {
+    const district = schools.filter(school => !school.charter);
+    const charter = schools.filter(school => school.charter);
+    let text = 'My SFUSD School Rankings\n\n';
+    for (let i = 0; i < district.length; i++) {
+        const school = district[i];
+        const code = (school.code === null) ? '' : `${school.code} `;
+        text += `${i + 1}. ${code}${getName(school)}\n`;
+    }
+    if (charter.length > 0) {
+        text += '\nCharter Schools (Apply Directly)\n\n';
+        for (const school of charter) {
+            text += `- ${getName(school)}\n`;
+        }
+    }
+    return text;
+}
@@ -0,0 +1,476 @@
+/**
+ * School filtering functions
+ * @module public/filter
+ */
+
+import { formatOrdinal, fuzzyIncludes, normalizeSearch } from './string.js';
+import { findSlack } from './travel.js';
+
+/**
+ * A numeric filter on a school property
+ *
+ * @typedef {Object} Threshold
+ * @property {string} field - The school property, e.g. reading
+ * @property {boolean} min - Whether this is a minimum (true) or maximum (false)
+ * @property {string} label - A description of the filter, e.g. Min Reading %
+ */
+
+/**
+ * Get numeric filters, keyed by menu input name.
+ *
+ * @returns {Map.<string, Threshold>} Numeric filters
+ */
+export function getThresholds() {
+    return new Map([
+        ['minGreatschools', {field: 'greatschools', min: true, label: 'Min GreatSchools'}],
+        ['maxUsnews', {field: 'usnews', min: false, label: 'Max US News Rank'}],
+        ['minReading', {field: 'reading', min: true, label: 'Min Reading %'}],
+        ['minMath', {field: 'math', min: true, label: 'Min Math %'}],
+        ['minScience', {field: 'science', min: true, label: 'Min Science %'}],
+        ['minGraduated', {field: 'graduated', min: true, label: 'Min Graduated %'}],
+        ['maxRatio', {field: 'ratio', min: false, label: 'Max Students/Teacher'}],
+        ['minSeatsPerApp', {field: 'seatsPerApp', min: true, label: 'Min Seats/App'}],
+        ['minStudents', {field: 'students', min: true, label: 'Min Students'}],
+        ['maxStudents', {field: 'students', min: false, label: 'Max Students'}],
+    ]);
+}
+
+/**
+ * Determine whether a value is within a limit.
+ *
+ * @param {?number} value - A school property value, e.g. 40
+ * @param {?(string|number)} limit - The minimum or maximum, or '' for none
+ * @param {boolean} min - Whether the limit is a minimum (true) or maximum (false)
+ * @param {boolean} [nulls=true] - Whether missing values are within any limit
+ * @returns {boolean} Whether the value is within the limit
+ */
+export function filterThreshold(value, limit, min, nulls = true) {
+    if (limit === null || limit === undefined || limit === '') {
+        return true;
+    }
+    const num = parseFloat(limit);
+    if (isNaN(num)) {
+        return true;
+    }
+    if (value === null || value === undefined) {
+        return nulls;
+    }
+    return min ? value >= num : value <= num;
+}
+
+/**
+ * Determine whether to show this school, based on numeric filters.
+ *
+ * Schools missing data for a filter that is set are shown, unless the "nulls"
+ * filter is "hide".
+ *
+ * @param {School} school - Data about a school
+ * @param {Object.<string, string>} filters - Filter menu input values
+ * @returns {boolean} Whether to show this school
+ */
+export function filterThresholds(school, filters) {
+    const nulls = filters.nulls !== 'hide';
+    for (const [name, threshold] of getThresholds()) {
+        const value = school[threshold.field];
+        if (!filterThreshold(value, filters[name], threshold.min, nulls)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Convert menu input values to an array, e.g. from an older saved version.
+ *
+ * @param {?(string|number|Array.<string>)} value - Menu input value(s)
+ * @returns {Array.<string>} Menu input values
+ */
+export function toArray(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (value === null || value === undefined || value === '') {
+        return [];
+    }
+    return [value.toString()];
+}
+
+/**
+ * Copy filter inputs into a new object.
+ *
+ * @param {Object.<string, (string|Array.<string>)>} menus - Select menu inputs
+ * @returns {Object.<string, (string|Array.<string>)>} An object containing only filter menu inputs
+ */
+export function copyFilters(menus) {
+    const filters = {
+        charter: menus.charter,
+        commute: menus.commute,
+        detour: menus.detour,
+        grade: menus.grade,
+        language: menus.language,
+        leave: menus.leave,
+        name: menus.name,
+        neighborhood: menus.neighborhood,
+        nulls: menus.nulls,
+        start: menus.start,
+        target: menus.target,
+        minutes: menus.minutes,
+        type: menus.type,
+        within: menus.within,
+        work: menus.work,
+    };
+    for (const name of getThresholds().keys()) {
+        filters[name] = menus[name];
+    }
+    return filters;
+}
+
+/**
+ * Determine whether to show this school, based on its type, e.g. Elementary.
+ *
+ * @param {School} school - Data about a school
+ * @param {(string|Array.<string>)} types - School type(s), e.g. Elementary
+ * @returns {boolean} Whether to show this school
+ */
+export function filterType(school, types) {
+    types = toArray(types);
+    return types.length < 1 || types.some(type => school.types.includes(type));
+}
+
+/**
+ * Determine whether to show this school, based on its grade levels, e.g. TK.
+ *
+ * @param {School} school - Data about a school
+ * @param {string} grade - School grade level, e.g. TK
+ * @returns {boolean} Whether to show this school
+ */
+export function filterGrade(school, grade) {
+    if (!grade) return true;
+    if (grade === 'pk') return school.pk;
+    if (grade === 'tk') return school.tk;
+    if (grade === 'k') return school.k;
+    const gradeNum = parseInt(grade);
+    if (isNaN(gradeNum)) {
+        return true;
+    }
+    if (school.min === null || school.max === null) {
+        return false;
+    }
+    return gradeNum >= school.min && gradeNum <= school.max;
+}
+
+/**
+ * Determine whether to show this school, based on its name, allowing typos.
+ *
+ * @param {School} school - Data about a school
+ * @param {string} name - Part of a school's name, e.g. Giannini
+ * @returns {boolean} Whether to show this school
+ */
+export function filterName(school, name) {
+    if (!name) {
+        return true;
+    }
+    const fullName = `${school.prefix} ${school.name} ${school.suffix} ${school.campus}`;
+    const haystack = normalizeSearch(fullName);
+    for (const word of normalizeSearch(name).split(' ')) {
+        if (!fuzzyIncludes(haystack, word)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Determine whether to show this school, based on its neighborhood.
+ *
+ * @param {School} school - Data about a school
+ * @param {(string|Array.<string>)} neighborhoods - School neighborhood(s), e.g. Bayview
+ * @returns {boolean} Whether to show this school
+ */
+export function filterNeighborhood(school, neighborhoods) {
+    neighborhoods = toArray(neighborhoods);
+    return neighborhoods.length < 1 || neighborhoods.includes(school.neighborhood);
+}
+
+/**
+ * Get the ranges of school start times to choose from, by hour.
+ *
+ * @returns {Map.<number, string>} Names of start time ranges, e.g. 8:00-8:59 am
+ */
+export function getStartTimeRanges() {
+    return new Map([
+        [7, 'Before 8:00 am'],
+        [8, '8:00-8:59 am'],
+        [9, 'After 9:00 am'],
+    ]);
+}
+
+/**
+ * Determine whether to show this school, based on its start time.
+ *
+ * @param {School} school - Data about a school
+ * @param {(string|Array.<string>)} starts - School start time hour(s), e.g. 8
+ * @returns {boolean} Whether to show this school
+ */
+export function filterStartTime(school, starts) {
+    starts = toArray(starts);
+    if (starts.length < 1) {
+        return true;
+    }
+    const hour = school.start.split(':')[0];
+    for (const start of starts) {
+        if (hour >= start && hour < parseInt(start) + 1) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Determine whether to show this school, based on language programs.
+ *
+ * @param {School} school - Data about a school
+ * @param {(string|Array.<string>)} languages - Language program(s), e.g. Spanish
+ * @returns {boolean} Whether to show this school
+ */
+export function filterLanguage(school, languages) {
+    languages = toArray(languages);
+    // Has a language been chosen?
+    if (languages.length < 1) {
+        return true;
+    }
+    for (const language of languages) {
+        // Do any of this school's languages match the chosen language exactly?
+        if (school.languages.includes(language)) {
+            return true;
+        }
+        // Do this school's languages contain the chosen language as a substring?
+        // For example, the filter "Spanish" should match "Spanish Immersion".
+        for (const lang of school.languages) {
+            if (lang.includes(language)) {
+                return true;
+            }
+        }
+    }
+    // The chosen languages do not match any of this school's languages.
+    return false;
+}
+
+/**
+ * Determine whether to show this school, based on which schools it feeds into.
+ *
+ * @param {School} school - Data about a school
+ * @param {(string|Array.<string>)} targets - Target school(s), e.g. Everett
+ * @returns {boolean} Whether to show this school
+ */
+export function filterTarget(school, targets) {
+    targets = toArray(targets);
+    if (targets.length < 1) {
+        return true;
+    }
+    return targets.some(target => school.feedsInto.includes(target));
+}
+
+/**
+ * Determine whether to show this school, based on whether it's a charter school.
+ *
+ * @param {School} school - Data about a school
+ * @param {string} charter - Which schools to show: district, charter, or ''
+ * @returns {boolean} Whether to show this school
+ */
+export function filterCharter(school, charter) {
+    switch (charter) {
+        case 'district':
+            return !school.charter;
+        case 'charter':
+            return school.charter;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Determine whether to show this school, based on the detour to a second address.
+ *
+ * @param {School} school - Data about a school
+ * @param {string} detour - Maximum detour in miles
+ * @returns {boolean} Whether to show this school
+ */
+export function filterDetour(school, detour) {
+    if (!detour) {
+        return true;
+    }
+    return school.detour !== null && school.detour <= detour;
+}
+
+/**
+ * Determine whether to show this school, based on travel time.
+ *
+ * @param {School} school - Data about a school
+ * @param {string} minutes - Maximum travel time in minutes
+ * @returns {boolean} Whether to show this school
+ */
+export function filterTravelTime(school, minutes) {
+    if (!minutes) {
+        return true;
+    }
+    return school.minutes !== null && school.minutes <= minutes;
+}
+
+/**
+ * Determine whether to show this school, based on a parent's morning schedule.
+ *
+ * @param {School} school - Data about a school
+ * @param {Schedule} schedule - A parent's morning schedule
+ * @returns {boolean} Whether to show this school
+ */
+export function filterSchedule(school, schedule) {
+    const slack = findSlack(school.start, school.minutes ?? Infinity, schedule);
+    return slack === null || slack >= 0;
+}
+
+/**
+ * Determine whether to show this school, based on commute distance.
+ *
+ * @param {School} school - Data about a school
+ * @param {string} within - Maximum commute distance in miles
+ * @returns {boolean} Whether to show this school
+ */
+export function filterWithin(school, within) {
+    if (!within) {
+        return true;
+    }
+    if (school.distance <= within) {
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Determine whether to show this school, based on multiple criteria.
+ *
+ * @param {School} school - Data about a school
+ * @param {Object.<string, string>} filters - Filter menu input values
+ * @returns {boolean} Whether to show this school
+ */
+export function filterSchool(school, filters) {
+    const functions = {
+        type: filterType,
+        grade: filterGrade,
+        name: filterName,
+        neighborhood: filterNeighborhood,
+        start: filterStartTime,
+        language: filterLanguage,
+        target: filterTarget,
+        charter: filterCharter,
+        within: filterWithin,
+        minutes: filterTravelTime,
+        detour: filterDetour,
+    };
+    for (const filter in functions) {
+        if (!(filter in filters)) {
+            // No saved form inputs for this user.
+            continue;
+        }
+        const func = functions[filter];
+        if (!func(school, filters[filter])) {
+            return false;
+        }
+    }
+    return filterThresholds(school, filters) && filterSchedule(school, filters);
+}
+
+/**
+ * Determine whether to show each school, based on multiple criteria.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object.<string, string>} menus - Select menu input values
+ * @param {?string} [menu=null] - Menu to exclude from filtering
+ * @returns {Schools} Data about some schools
+ */
+export function filterSchools(schoolData, menus, menu = null) {
+    const filters = copyFilters(menus);
+    if (menu !== null) {
+        filters[menu] = '';
+    }
+    const schools = [];
+    for (const school of schoolData) {
+        if (!filters || filterSchool(school, filters)) {
+            schools.push(school);
+        }
+    }
+    return schools;
+}
+
+/**
+ * Describe a filter that is set, e.g. "Within 1 mile".
+ *
+ * @param {string} name - The filter menu input name, e.g. within
+ * @param {string|Array.<string>} value - The filter menu input value(s)
+ * @returns {string} A description of the filter, as plain text
+ */
+export function describeFilter(name, value) {
+    const values = toArray(value);
+    const threshold = getThresholds().get(name);
+    if (threshold) {
+        return `${threshold.label} ${value}`;
+    }
+    switch (name) {
+        case 'charter':
+            return value === 'charter' ? 'Charter Schools' : 'District Schools';
+        case 'commute':
+            return `${value} Minutes From School to Work`;
+        case 'detour':
+            return `Detour Under ${value} mi.`;
+        case 'grade': {
+            const grades = {pk: 'Pre-K', tk: 'TK', k: 'K'};
+            return grades[value] ?? `${formatOrdinal(parseInt(value))} Grade`;
+        }
+        case 'leave':
+            return `Leave Home at ${value}`;
+        case 'minutes':
+            return `Within ${value} Minutes`;
+        case 'name':
+            return `Name "${value}"`;
+        case 'nulls':
+            return 'Hide Schools Missing Data';
+        case 'start': {
+            const ranges = getStartTimeRanges();
+            return values.map(hour => ranges.get(parseInt(hour)) ?? hour).join(' or ');
+        }
+        case 'target':
+            return `Feeds Into ${values.join(' or ')}`;
+        case 'type':
+            return `${values.join(' or ')} School`;
+        case 'within': {
+            const unit = parseFloat(value) === 1 ? 'mile' : 'miles';
+            return `Within ${value} ${unit}`;
+        }
+        case 'work':
+            return `Work Starts at ${value}`;
+        default:
+            return values.join(' or ');
+    }
+}
+
+/**
+ * Find which filters, if removed, would show some schools.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object.<string, (string|Array.<string>)>} menus - Select menu input values
+ * @returns {Array.<Array>} Filter menu input names and numbers of schools, most first
+ */
+export function findRelaxations(schoolData, menus) {
+    const relaxations = [];
+    for (const [name, value] of Object.entries(copyFilters(menus))) {
+        if (toArray(value).length < 1) {
+            continue;
+        }
+        const numSchools = filterSchools(schoolData, menus, name).length;
+        if (numSchools > 0) {
+            relaxations.push([name, numSchools]);
+        }
+    }
+    relaxations.sort((a, b) => b[1] - a[1]);
+    return relaxations;
+}
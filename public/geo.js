@@ -34,6 +34,37 @@ export function expandCoords(coords) {
     return [`37.${lat}`, `-122.${lon}`];
 }
 
+/**
+ * Get the northern, southern, eastern, and western extents of street addresses
+ * in San Francisco, California, as found by scripts/geo-info.js.
+ *
+ * @returns {Object.<string, number>} Degrees latitude and longitude
+ */
+export function getBounds() {
+    return {
+        north: 37.8318,
+        south: 37.708,
+        east: -122.3621,
+        west: -122.5144,
+    };
+}
+
+/**
+ * Determine whether coordinates are within a map's extents.
+ *
+ * @param {?LatLon} coords - Decimal degrees latitude and longitude
+ * @param {Object.<string, number>} [bounds=getBounds()] - The map's extents, in degrees
+ * @returns {boolean} Whether the coordinates are within the extents
+ */
+export function isWithinBounds(coords, bounds = getBounds()) {
+    if (!coords) {
+        return false;
+    }
+    const [lat, lon] = coords.map(parseFloat);
+    return lat >= bounds.south && lat <= bounds.north
+        && lon >= bounds.west && lon <= bounds.east;
+}
+
 /**
  * Generate a Google Maps URL, for latitude and longitude.
  *
@@ -78,16 +109,35 @@ export function getMapURL(search) {
 }
 
 /**
- * Calculate the distance between two sets of geographic coordinates.
+ * Get Earth's mean radius.
  *
- * @param {?LatLon} a - Decimal degrees latitude and longitude
- * @param {?LatLon} b - Decimal degrees latitude and longitude
  * @returns {number} Distance in miles
  */
-export function howFar(a, b) {
-    if (!a || !b) {
-        return Infinity;
-    }
+export function getEarthRadius() {
+    return 6371008.8 / 1609.344;
+}
+
+/**
+ * Get the size and shape of the WGS 84 ellipsoid, used by GPS.
+ *
+ * @returns {Object.<string, number>} Equatorial radius in miles, and flattening
+ */
+export function getEllipsoid() {
+    return {
+        radius: 6378137 / 1609.344,
+        flattening: 1 / 298.257223563,
+    };
+}
+
+/**
+ * Calculate the distance between two sets of geographic coordinates, on a
+ * flat map.
+ *
+ * @param {LatLon} a - Decimal degrees latitude and longitude
+ * @param {LatLon} b - Decimal degrees latitude and longitude
+ * @returns {number} Distance in miles
+ */
+export function flatDistance(a, b) {
     const latDiff = Math.abs(a[0] - b[0]);
     const lonDiff = Math.abs(a[1] - b[1]);
     const latMean = (parseFloat(a[0]) + parseFloat(b[0])) / 2;
@@ -96,6 +146,127 @@ export function howFar(a, b) {
     return Math.sqrt((x * x) + (y * y));
 }
 
+/**
+ * Calculate the great-circle distance between two sets of geographic
+ * coordinates, with the haversine formula, treating Earth as a sphere.
+ *
+ * @param {LatLon} a - Decimal degrees latitude and longitude
+ * @param {LatLon} b - Decimal degrees latitude and longitude
+ * @returns {number} Distance in miles
+ */
+export function haversine(a, b) {
+    const lat1 = degreesToRadians(a[0]);
+    const lat2 = degreesToRadians(b[0]);
+    const latDiff = lat2 - lat1;
+    const lonDiff = degreesToRadians(b[1] - a[1]);
+    const h = Math.sin(latDiff / 2) ** 2
+        + Math.cos(lat1) * Math.cos(lat2) * Math.sin(lonDiff / 2) ** 2;
+    return 2 * getEarthRadius() * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Calculate the distance between two sets of geographic coordinates, with
+ * Vincenty's inverse formula, on the WGS 84 ellipsoid.
+ *
+ * This is accurate to within a millimeter, but may not converge for nearly
+ * antipodal points, in which case the haversine distance is returned.
+ *
+ * @param {LatLon} a - Decimal degrees latitude and longitude
+ * @param {LatLon} b - Decimal degrees latitude and longitude
+ * @returns {number} Distance in miles
+ */
+export function vincenty(a, b) {
+    const {radius, flattening: f} = getEllipsoid();
+    const minor = radius * (1 - f);
+    const L = degreesToRadians(b[1] - a[1]);
+    // Reduced latitudes, on the auxiliary sphere
+    const U1 = Math.atan((1 - f) * Math.tan(degreesToRadians(a[0])));
+    const U2 = Math.atan((1 - f) * Math.tan(degreesToRadians(b[0])));
+    const sinU1 = Math.sin(U1);
+    const cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2);
+    const cosU2 = Math.cos(U2);
+    let lambda = L;
+    for (let i = 0; i < 200; i++) {
+        const sinLambda = Math.sin(lambda);
+        const cosLambda = Math.cos(lambda);
+        const sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2
+            + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+        if (sinSigma === 0) {
+            return 0;
+        }
+        const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        const sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        const cos2Alpha = 1 - sinAlpha ** 2;
+        // On the equator, cos2Alpha is 0.
+        const cos2SigmaM = cos2Alpha ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+        const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+        const prev = lambda;
+        lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma
+            * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+        if (Math.abs(lambda - prev) > 1e-12) {
+            continue;
+        }
+        const u2 = cos2Alpha * (radius ** 2 - minor ** 2) / minor ** 2;
+        const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+        const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4
+            * (cosSigma * (-1 + 2 * cos2SigmaM ** 2) - B / 6 * cos2SigmaM
+            * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+        return minor * A * (sigma - deltaSigma);
+    }
+    return haversine(a, b);
+}
+
+/**
+ * Get the ways to calculate distance, keyed by name.
+ *
+ * Compared with Vincenty's formula, which is the most accurate, the sphere is
+ * within 0.25% across San Francisco, and the flat map within 0.4%. Both err
+ * most going east to west, in miles:
+ *
+ * | Route                                | Vincenty | Haversine        | Flat             |
+ * | ------------------------------------ | -------- | ---------------- | ---------------- |
+ * | Southwest to northeast corner        | 11.934   | 11.931 (-0.02%)  | 11.915 (-0.16%)  |
+ * | South to north, along 122.45°W       | 8.538    | 8.554 (+0.18%)   | 8.542 (+0.05%)   |
+ * | West to east, along 37.77°N          | 8.338    | 8.318 (-0.24%)   | 8.307 (-0.37%)   |
+ * | City Hall to Ocean Beach             | 5.050    | 5.038 (-0.23%)   | 5.032 (-0.36%)   |
+ * | Lowell to Rooftop                    | 1.700    | 1.696 (-0.24%)   | 1.693 (-0.37%)   |
+ *
+ * That's at most 160 feet on the longest commute in the city, so the fast
+ * flat map is the default.
+ *
+ * @returns {Map.<string, Function>} Distance functions, taking two LatLons
+ */
+export function getDistanceAlgorithms() {
+    return new Map([
+        ['flat', flatDistance],
+        ['haversine', haversine],
+        ['vincenty', vincenty],
+    ]);
+}
+
+/**
+ * Calculate the distance between two sets of geographic coordinates.
+ *
+ * @param {?LatLon} a - Decimal degrees latitude and longitude
+ * @param {?LatLon} b - Decimal degrees latitude and longitude
+ * @param {string} [algorithm=flat] - flat, haversine, or vincenty
+ * @returns {number} Distance in miles
+ */
+export function howFar(a, b, algorithm = 'flat') {
+    if (!a || !b) {
+        return Infinity;
+    }
+    const algorithms = getDistanceAlgorithms();
+    if (!algorithms.has(algorithm)) {
+        console.warn('Invalid distance algorithm:', algorithm);
+        algorithm = 'flat';
+    }
+    return algorithms.get(algorithm)(a, b);
+}
+
 /**
  * Convert degrees of latitude to miles.
  *
@@ -157,3 +328,464 @@ export function lonToMilesFactor(lat) {
     const radians = degreesToRadians(lat);
     return latToMilesFactor() * Math.cos(radians);
 }
+
+/**
+ * Calculate the size of a flat map of the given area, e.g. an SVG image.
+ *
+ * @param {Object.<string, number>} bounds - The map's extents, in degrees
+ * @param {number} width - The map's width, e.g. in pixels
+ * @returns {Array.<number>} The map's width and height
+ */
+export function getMapSize(bounds, width) {
+    const [, height] = projectCoords([bounds.south, bounds.east], bounds, width);
+    return [width, height];
+}
+
+/**
+ * Project geographic coordinates onto a flat map, e.g. an SVG image.
+ *
+ * This uses an equirectangular projection, centered on the map, which is
+ * accurate enough for an area the size of a city.
+ *
+ * @param {LatLon} coords - Decimal degrees latitude and longitude
+ * @param {Object.<string, number>} bounds - The map's extents, in degrees
+ * @param {number} width - The map's width, e.g. in pixels
+ * @returns {Array.<number>} The x and y coordinates, from the top left corner
+ */
+export function projectCoords(coords, bounds, width) {
+    const latMean = (bounds.north + bounds.south) / 2;
+    const scale = width / lonToMiles(bounds.east - bounds.west, latMean);
+    const x = lonToMiles(coords[1] - bounds.west, latMean) * scale;
+    const y = latToMiles(bounds.north - coords[0]) * scale;
+    return [x, y];
+}
+
+/**
+ * A grid of points, for quickly finding points near some coordinates
+ *
+ * @typedef {Object} SpatialIndex
+ * @property {Array.<Array.<number>>} points - Degrees latitude and longitude of each point
+ * @property {Array} items - What each point is, e.g. a street address
+ * @property {Map.<string, Array.<number>>} cells - Point indexes in each grid cell
+ * @property {number} cellSize - Grid cell size, in degrees
+ * @property {number} span - The most cells across the grid, north to south or east to west
+ */
+
+/**
+ * Streets as a graph of points and the distances between them
+ *
+ * @typedef {Object} StreetGraph
+ * @property {Array.<LatLon>} nodes - Degrees latitude and longitude of each point
+ * @property {Array.<Array.<Array.<number>>>} edges - Each node's neighbors, as node index and miles
+ * @property {SpatialIndex} index - Connected nodes, with node indexes as items
+ */
+
+/**
+ * Get the row and column of the grid cell containing some coordinates.
+ *
+ * @param {Array.<number>} point - Degrees latitude and longitude
+ * @param {number} cellSize - Grid cell size, in degrees
+ * @returns {Array.<number>} The grid cell's row and column
+ */
+function getCell(point, cellSize) {
+    return [Math.floor(point[0] / cellSize), Math.floor(point[1] / cellSize)];
+}
+
+/**
+ * Build a spatial index, a grid of points.
+ *
+ * @param {Array.<LatLon>} points - Degrees latitude and longitude of each point
+ * @param {Array} [items=points] - What each point is, e.g. a street address
+ * @param {number} [cellSize=0.001] - Grid cell size, in degrees, about 350 feet
+ * @returns {SpatialIndex} A grid of points
+ */
+export function buildSpatialIndex(points, items = points, cellSize = 0.001) {
+    const cells = new Map();
+    const min = [Infinity, Infinity];
+    const max = [-Infinity, -Infinity];
+    points = points.map(point => point.map(parseFloat));
+    points.forEach((point, i) => {
+        const cell = getCell(point, cellSize);
+        const key = cell.join(',');
+        if (!cells.has(key)) {
+            cells.set(key, []);
+        }
+        cells.get(key).push(i);
+        for (const axis of [0, 1]) {
+            min[axis] = Math.min(min[axis], cell[axis]);
+            max[axis] = Math.max(max[axis], cell[axis]);
+        }
+    });
+    const span = points.length ? Math.max(max[0] - min[0], max[1] - min[1]) + 1 : 0;
+    return {points, items, cells, cellSize, span};
+}
+
+/**
+ * Build a spatial index of street addresses, for finding addresses near some
+ * coordinates.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @returns {SpatialIndex} Points, with street addresses as items, e.g. "1 ZOO RD"
+ */
+export function buildAddressIndex(addressData) {
+    const points = [];
+    const items = [];
+    for (const street in addressData) {
+        for (const num in addressData[street]) {
+            points.push(expandCoords(addressData[street][num]));
+            items.push(`${num} ${street}`);
+        }
+    }
+    return buildSpatialIndex(points, items);
+}
+
+/**
+ * Visit the points in a square ring of grid cells around some coordinates.
+ *
+ * @param {SpatialIndex} index - A grid of points
+ * @param {Array.<number>} point - Degrees latitude and longitude
+ * @param {number} ring - How many cells away from the point's cell, e.g. 0
+ * @param {Function} visit - Called with each point's index and distance in miles
+ */
+function visitRing(index, point, ring, visit) {
+    const [row, col] = getCell(point, index.cellSize);
+    for (let dRow = -ring; dRow <= ring; dRow++) {
+        // Only the edges of the square are in this ring.
+        const step = (Math.abs(dRow) === ring) ? 1 : 2 * ring;
+        for (let dCol = -ring; dCol <= ring; dCol += step) {
+            for (const i of index.cells.get(`${row + dRow},${col + dCol}`) ?? []) {
+                visit(i, flatDistance(point, index.points[i]));
+            }
+        }
+    }
+}
+
+/**
+ * Get how many rings of grid cells to search, to find points within a distance.
+ *
+ * @param {SpatialIndex} index - A grid of points
+ * @param {Array.<number>} point - Degrees latitude and longitude
+ * @param {number} miles - The distance to search
+ * @returns {Array.<number>} How many rings to search, and the width of a ring in miles
+ */
+function countRings(index, point, miles) {
+    // Cells are narrower east to west than north to south, in miles.
+    const ringMiles = lonToMiles(index.cellSize, point[0]);
+    return [Math.min(Math.ceil(miles / ringMiles), index.span), ringMiles];
+}
+
+/**
+ * Find the point nearest some coordinates, in a spatial index.
+ *
+ * @param {SpatialIndex} index - A grid of points
+ * @param {?LatLon} coords - Decimal degrees latitude and longitude
+ * @param {number} [maxMiles=Infinity] - How far to search, at most the width of the grid
+ * @returns {?Array.<number>} The nearest point's index and distance in miles, or null if none
+ */
+export function findNearest(index, coords, maxMiles = Infinity) {
+    if (!coords) {
+        return null;
+    }
+    const point = coords.map(parseFloat);
+    const [rings, ringMiles] = countRings(index, point, maxMiles);
+    let best = null;
+    for (let ring = 0; ring <= rings; ring++) {
+        visitRing(index, point, ring, (i, miles) => {
+            if (miles <= maxMiles && !(best?.[1] <= miles)) {
+                best = [i, miles];
+            }
+        });
+        // Points in farther rings are farther away.
+        if (best && best[1] <= ring * ringMiles) {
+            break;
+        }
+    }
+    return best;
+}
+
+/**
+ * Find the points within a distance of some coordinates, in a spatial index.
+ *
+ * @param {SpatialIndex} index - A grid of points
+ * @param {?LatLon} coords - Decimal degrees latitude and longitude
+ * @param {number} maxMiles - The distance to search
+ * @returns {Array.<Array.<number>>} Points' indexes and distances in miles, nearest first
+ */
+export function findWithin(index, coords, maxMiles) {
+    if (!coords) {
+        return [];
+    }
+    const point = coords.map(parseFloat);
+    const [rings] = countRings(index, point, maxMiles);
+    const found = [];
+    for (let ring = 0; ring <= rings; ring++) {
+        visitRing(index, point, ring, (i, miles) => {
+            if (miles <= maxMiles) {
+                found.push([i, miles]);
+            }
+        });
+    }
+    return found.sort((a, b) => a[1] - b[1]);
+}
+
+/**
+ * Build a graph of streets from street addresses.
+ *
+ * Each side of a street is a line through its addresses, in order of street
+ * number. Gaps longer than maxGap, e.g. across a park, aren't connected. Lines
+ * are connected where they come within the snap distance of each other, which
+ * marks intersections, and joins opposite sides of a street.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @param {number} [maxGap=0.2] - The longest distance between addresses to connect, in miles
+ * @param {number} [snap=0.03] - The distance at which lines connect, in miles
+ * @returns {StreetGraph} Points along streets, and the distances between them
+ */
+export function buildStreetGraph(addressData, maxGap = 0.2, snap = 0.03) {
+    const nodes = [];
+    const edges = [];
+    const lines = [];
+    const ids = new Map();
+    const connect = (i, j, miles) => {
+        edges[i].push([j, miles]);
+        edges[j].push([i, miles]);
+    };
+    let line = 0;
+    for (const street of Object.values(addressData)) {
+        const numbers = Object.keys(street).map(n => parseInt(n)).sort((a, b) => a - b);
+        for (const parity of [0, 1]) {
+            line++;
+            let prev = null;
+            for (const number of numbers.filter(n => n % 2 === parity)) {
+                const key = street[number].join(',');
+                if (!ids.has(key)) {
+                    ids.set(key, nodes.length);
+                    nodes.push(expandCoords(street[number]).map(parseFloat));
+                    edges.push([]);
+                    lines.push(line);
+                }
+                const id = ids.get(key);
+                if (prev !== null && prev !== id) {
+                    const miles = flatDistance(nodes[prev], nodes[id]);
+                    if (miles <= maxGap) {
+                        connect(prev, id, miles);
+                    }
+                }
+                prev = id;
+            }
+        }
+    }
+    // Cells at least as wide as the snap distance, to search only neighboring cells
+    const all = buildSpatialIndex(nodes, nodes, snap / lonToMilesFactor(getBounds().north));
+    nodes.forEach((node, i) => {
+        // Connect to the nearest point on each other line, once per pair.
+        const nearest = new Map();
+        for (const [j, miles] of findWithin(all, node, snap)) {
+            if (lines[j] !== lines[i] && !nearest.has(lines[j])) {
+                nearest.set(lines[j], [j, miles]);
+            }
+        }
+        for (const [j, miles] of nearest.values()) {
+            if (i < j) {
+                connect(i, j, miles);
+            }
+        }
+    });
+    // Find routes only through the largest connected network of streets, not
+    // e.g. paths inside the zoo.
+    const network = [...findLargestComponent(edges)].sort((a, b) => a - b);
+    const index = buildSpatialIndex(network.map(i => nodes[i]), network);
+    return {nodes, edges, index};
+}
+
+/**
+ * Find the largest set of connected nodes in a graph.
+ *
+ * @param {Array.<Array.<Array.<number>>>} edges - Each node's neighbors, as node index and miles
+ * @returns {Set.<number>} Node indexes
+ */
+export function findLargestComponent(edges) {
+    const seen = new Uint8Array(edges.length);
+    let largest = new Set();
+    for (let i = 0; i < edges.length; i++) {
+        if (seen[i]) {
+            continue;
+        }
+        const component = new Set([i]);
+        const stack = [i];
+        seen[i] = 1;
+        while (stack.length > 0) {
+            for (const [j] of edges[stack.pop()]) {
+                if (!seen[j]) {
+                    seen[j] = 1;
+                    component.add(j);
+                    stack.push(j);
+                }
+            }
+        }
+        if (component.size > largest.size) {
+            largest = component;
+        }
+    }
+    return largest;
+}
+
+/**
+ * Find the point on a street graph nearest to some coordinates.
+ *
+ * @param {StreetGraph} graph - Points along streets
+ * @param {?LatLon} coords - Decimal degrees latitude and longitude
+ * @param {number} [maxMiles=0.5] - How far to search
+ * @returns {?Array.<number>} The nearest node index and its distance in miles, or null if none
+ */
+export function findNearestNode(graph, coords, maxMiles = 0.5) {
+    const nearest = findNearest(graph.index, coords, maxMiles);
+    return nearest && [graph.index.items[nearest[0]], nearest[1]];
+}
+
+/**
+ * Find the shortest distance along streets from one point to every other, with
+ * Dijkstra's algorithm.
+ *
+ * @param {StreetGraph} graph - Points along streets
+ * @param {number} source - The node index to start from
+ * @param {?number} [target=null] - A node index at which to stop early
+ * @returns {Float64Array} Miles to each node index, or Infinity if unreachable
+ */
+export function findPathDistances(graph, source, target = null) {
+    const distances = new Float64Array(graph.nodes.length).fill(Infinity);
+    distances[source] = 0;
+    // A binary heap of [miles, node index], nearest first
+    const heap = [[0, source]];
+    while (heap.length > 0) {
+        const [miles, i] = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let n = 0;
+            for (;;) {
+                const l = 2 * n + 1;
+                const r = l + 1;
+                let min = n;
+                if (l < heap.length && heap[l][0] < heap[min][0]) min = l;
+                if (r < heap.length && heap[r][0] < heap[min][0]) min = r;
+                if (min === n) break;
+                [heap[n], heap[min]] = [heap[min], heap[n]];
+                n = min;
+            }
+        }
+        if (miles > distances[i]) {
+            continue;
+        }
+        if (i === target) {
+            break;
+        }
+        for (const [j, length] of graph.edges[i]) {
+            const total = miles + length;
+            if (total >= distances[j]) {
+                continue;
+            }
+            distances[j] = total;
+            heap.push([total, j]);
+            let n = heap.length - 1;
+            while (n > 0) {
+                const parent = (n - 1) >> 1;
+                if (heap[parent][0] <= heap[n][0]) break;
+                [heap[n], heap[parent]] = [heap[parent], heap[n]];
+                n = parent;
+            }
+        }
+    }
+    return distances;
+}
+
+/**
+ * Calculate the walking distance between two sets of geographic coordinates,
+ * along streets.
+ *
+ * @param {StreetGraph} graph - Points along streets
+ * @param {?LatLon} a - Decimal degrees latitude and longitude
+ * @param {?LatLon} b - Decimal degrees latitude and longitude
+ * @returns {number} Distance in miles, or Infinity if there's no route
+ */
+export function howFarByStreet(graph, a, b) {
+    const start = findNearestNode(graph, a);
+    const end = findNearestNode(graph, b);
+    if (!start || !end) {
+        return Infinity;
+    }
+    const distances = findPathDistances(graph, start[0], end[0]);
+    return start[1] + distances[end[0]] + end[1];
+}
+
+/**
+ * Determine whether geographic coordinates are inside a polygon.
+ *
+ * Latitude and longitude are treated as flat, which is close enough at the
+ * scale of a neighborhood. Points exactly on an edge may be inside or out.
+ *
+ * @param {?LatLon} coords - Decimal degrees latitude and longitude
+ * @param {Array.<LatLon>} polygon - The polygon's vertices, in order
+ * @returns {boolean} Whether the coordinates are inside the polygon
+ */
+export function isInPolygon(coords, polygon) {
+    if (!coords) {
+        return false;
+    }
+    const [lat, lon] = coords.map(parseFloat);
+    let inside = false;
+    // Count how many edges a ray going east from the point crosses.
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lonI] = polygon[i];
+        const [latJ, lonJ] = polygon[j];
+        if ((latI > lat) !== (latJ > lat)
+            && lon < lonI + (lat - latI) * (lonJ - lonI) / (latJ - latI)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Find which neighborhood geographic coordinates are in.
+ *
+ * @param {Object.<string, Array.<LatLon>>} neighborhoods - Polygons by name
+ * @param {?LatLon} coords - Decimal degrees latitude and longitude
+ * @returns {?string} The neighborhood's name, or null if none contains them
+ */
+export function findNeighborhood(neighborhoods, coords) {
+    for (const name in neighborhoods) {
+        if (isInPolygon(coords, neighborhoods[name])) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the neighborhoods that share a border with a neighborhood.
+ *
+ * Neighborhoods share a border if they have at least two vertices in common,
+ * so ones that only touch at a corner aren't adjacent.
+ *
+ * @param {Object.<string, Array.<LatLon>>} neighborhoods - Polygons by name
+ * @param {string} name - A neighborhood's name, e.g. Outer Sunset
+ * @returns {Array.<string>} Adjacent neighborhoods' names, sorted
+ */
+export function findAdjacentNeighborhoods(neighborhoods, name) {
+    if (!(name in neighborhoods)) {
+        return [];
+    }
+    const vertices = new Set(neighborhoods[name].map(String));
+    const adjacent = [];
+    for (const other in neighborhoods) {
+        if (other === name) {
+            continue;
+        }
+        const shared = neighborhoods[other].filter(v => vertices.has(String(v)));
+        if (shared.length >= 2) {
+            adjacent.push(other);
+        }
+    }
+    return adjacent.sort();
+}
@@ -2,16 +2,63 @@
  * @file Display, filter, and sort school data.
  */
 
-import { fixNumberedStreets,
-         replaceStreetSuffixes,
-         splitStreetAddress } from './address.js';
+import { splitStreetAddress, standardizeStreet } from './address.js';
 import { capitalizeWords,
          compressWhitespace,
+         escapeHTML,
+         formatOrdinal,
          removeAccents,
          removePunctuation } from './string.js';
-import { expandCoords, getDirectionsURL, getMapURL, howFar } from './geo.js';
-import { sortSchools } from './sort.js';
+import { findShownColumns, getColumns } from './column.js';
+import { copyFilters,
+         describeFilter,
+         filterSchools,
+         findRelaxations,
+         getStartTimeRanges,
+         getThresholds,
+         toArray } from './filter.js';
+import { formatRankedList,
+         getExportFields,
+         numberRanked,
+         schoolsToCSV,
+         schoolsToGeoJSON,
+         schoolsToJSON } from './export.js';
+import { buildAddressIndex,
+         buildStreetGraph,
+         expandCoords,
+         findAdjacentNeighborhoods,
+         findNearest,
+         findNearestNode,
+         findNeighborhood,
+         findPathDistances,
+         getBounds,
+         getCoordsURL,
+         getDirectionsURL,
+         getMapSize,
+         getMapURL,
+         howFar,
+         isWithinBounds,
+         projectCoords } from './geo.js';
+import { formatSortSpec,
+         parseSortSpec,
+         sortSchools,
+         toggleSortKey } from './sort.js';
+import { buildFeederTree,
+         buildPathway,
+         findPathwaySchools } from './pathway.js';
+import { getMaxChildren, planMornings } from './planner.js';
+import { deletePreset,
+         loadPreset,
+         makePreset,
+         renamePreset,
+         savePreset } from './preset.js';
+import { findRange, scoreSchools } from './score.js';
+import { findSlack,
+         findTravelMinutes,
+         getTravelModes } from './travel.js';
+import { decodeInputs, encodeInputs, getDefaultInputs } from './url.js';
 import addressData from './address-data.js';
+import neighborhoodData from './neighborhood-data.js';
 import schoolData from './school-data.js';
 
 /**
@@ -149,14 +196,15 @@ function arrayToMap(array) {
  * Render options for a select menu.
  *
  * @param {Map} options - Menu option values and names
- * @param {?string} selected - The value selected.
+ * @param {?(string|Array.<string>)} selected - The value(s) selected.
  * @returns {string} HTML options for a select menu or datalist
  */
 function renderOptions(options, selected) {
+    const values = Array.isArray(selected) ? selected : [selected];
     let html = '';
     for (const [key, value] of options.entries()) {
-        const s = (key.toString() === selected) ? ' selected' : '';
-        html += `<option value="${key}"${s}>${value}</option>`;
+        const s = values.includes(key.toString()) ? ' selected' : '';
+        html += `<option value="${escapeHTML(key.toString())}"${s}>${escapeHTML(value)}</option>`;
     }
     return html;
 }
@@ -164,77 +212,35 @@ function renderOptions(options, selected) {
 /**
  * Render a select menu.
  *
+ * Menus with an array of selected values allow multiple selections. Their
+ * default option is selected when no other option is.
+ *
  * @param {Map} options - Menu option values and names
- * @param {?string} selected - The value selected.
+ * @param {?(string|Array.<string>)} selected - The value(s) selected.
  * @param {?string} [defaultName=null] - The name of the default option
  * @param {string} [defaultValue=''] - The value of the default option
  * @returns {string} An HTML select menu
  */
 function renderMenu(options, selected, name, defaultName = null, defaultValue = '') {
     const disabled = options.size ? '' : ' disabled';
-    let html = `<select name="${name}" id="${name}"${disabled}>`;
+    const multiple = Array.isArray(selected);
+    let html = `<select name="${name}" id="${name}"${disabled}`;
+    if (multiple) {
+        const size = Math.min(options.size + 1, 4);
+        html += ` multiple size="${size}" title="Choose one or more"`;
+    }
+    html += '>';
     if (defaultName !== null) {
         const defOpt = new Map();
         defOpt.set(defaultValue, defaultName);
-        html += renderOptions(defOpt, selected);
+        const defSelected = (multiple && selected.length < 1) ? defaultValue : selected;
+        html += renderOptions(defOpt, defSelected);
     }
     html += renderOptions(options, selected);
     html += '</select>';
     return html;
 }
 
-/**
- * Copy filter inputs into a new object.
- *
- * @param {Object.<string, string>} menus - Select menu inputs
- * @returns {Object.<string, string>} An object containing only filter menu inputs
- */
-function copyFilters(menus) {
-    return {
-        grade: menus.grade,
-        language: menus.language,
-        neighborhood: menus.neighborhood,
-        start: menus.start,
-        target: menus.target,
-        type: menus.type,
-        within: menus.within,
-    };
-}
-
-/**
- * Format ordinal numbers, e.g. "1st".
- *
- * @param {number} - A number
- * @returns {string} - A number with an ordinal suffix
- */
-function formatOrdinal(num) {
-    const str = num.toString();
-    switch (str.slice(-2)) {
-        case '11':
-        case '12':
-        case '13':
-            return str + 'th';
-    }
-    switch (str.slice(-1)) {
-        case '1':
-            return str + 'st';
-        case '2':
-            return str + 'nd';
-        case '3':
-            return str + 'rd';
-        case '4':
-        case '5':
-        case '6':
-        case '7':
-        case '8':
-        case '9':
-        case '0':
-            return str + 'th';
-        default:
-            return num;
-    }
-}
-
 /**
  * Get all the grade levels in the given schools.
  *
@@ -299,8 +305,10 @@ function getLanguages(schools, selected) {
             }
         }
     }
-    if (selected && !languages.includes(selected)) {
-        languages.push(selected);
+    for (const language of toArray(selected)) {
+        if (!languages.includes(language)) {
+            languages.push(language);
+        }
     }
     return arrayToMap(languages.sort());
 }
@@ -332,8 +340,10 @@ function getNeighborhoods(schools, selected) {
             neighborhoods.push(hood);
         }
     }
-    if (selected && !neighborhoods.includes(selected)) {
-        neighborhoods.push(selected);
+    for (const neighborhood of toArray(selected)) {
+        if (!neighborhoods.includes(neighborhood)) {
+            neighborhoods.push(neighborhood);
+        }
     }
     return arrayToMap(neighborhoods.sort());
 }
@@ -377,9 +387,10 @@ function getSchoolTypes(schools, selected) {
             }
         }
     }
+    const selectedTypes = toArray(selected);
     const orderedTypes = new Map();
     for (const type of allTypes) {
-        if (selected === type || types.includes(type)) {
+        if (selectedTypes.includes(type) || types.includes(type)) {
             orderedTypes.set(type, `${type} School`);
         }
     }
@@ -406,11 +417,7 @@ function renderTypeMenu(schoolData, menus) {
  * @returns {Map} Menu option values and names for start times
  */
 function getStartTimes(schools, selected) {
-    const startTimes = new Map([
-        [7, 'Before 8:00 am'],
-        [8, '8:00-8:59 am'],
-        [9, 'After 9:00 am'],
-    ]);
+    const startTimes = getStartTimeRanges();
     const hours = [];
     for (const school of schools) {
         if (!school.start) {
@@ -426,8 +433,9 @@ function getStartTimes(schools, selected) {
             break;
         }
     }
+    const selectedHours = toArray(selected);
     for (const hour of startTimes.keys()) {
-        if (selected !== hour && !hours.includes(hour)) {
+        if (!selectedHours.includes(hour.toString()) && !hours.includes(hour)) {
             startTimes.delete(hour);
         }
     }
@@ -462,8 +470,10 @@ function getTargets(schools, selected) {
             }
         }
     }
-    if (selected && !targets.includes(selected)) {
-        targets.push(selected);
+    for (const target of toArray(selected)) {
+        if (!targets.includes(target)) {
+            targets.push(target);
+        }
     }
     targets.sort();
     const targetsMap = new Map();
@@ -486,6 +496,37 @@ function renderTargetMenu(schoolData, menus) {
     return renderMenu(targets, menus.target, 'target', 'Feeds Into Any School');
 }
 
+/**
+ * Get whether schools are district or charter schools.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {?string} selected - The value selected
+ * @returns {Map} Menu option values and names for district and charter schools
+ */
+function getCharterOptions(schools, selected) {
+    const options = new Map();
+    if (selected === 'district' || schools.some(school => !school.charter)) {
+        options.set('district', 'District Schools');
+    }
+    if (selected === 'charter' || schools.some(school => school.charter)) {
+        options.set('charter', 'Charter Schools');
+    }
+    return options;
+}
+
+/**
+ * Render a select menu for district or charter schools.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object.<string, string>} menus - Select menu input values
+ * @returns {string} An HTML select menu
+ */
+function renderCharterMenu(schoolData, menus) {
+    const schools = filterSchools(schoolData, menus, 'charter');
+    const options = getCharterOptions(schools, menus.charter);
+    return renderMenu(options, menus.charter, 'charter', 'District or Charter');
+}
+
 /**
  * Get maximum school commute distances.
  *
@@ -503,8 +544,9 @@ function getDistances(schools, selected) {
             distances.push(distance);
         }
     }
-    if (selected && !distances.includes(parseInt(selected))) {
-        distances.push(selected);
+    const within = parseInt(selected);
+    if (within > 0 && !distances.includes(within)) {
+        distances.push(within);
     }
     distances.sort((a, b) => a - b);
     distances.pop();
@@ -529,6 +571,134 @@ function renderDistanceMenu(schoolData, menus) {
     return renderMenu(distances, menus.within, 'within', 'Within Any Distance');
 }
 
+/**
+ * Render a select menu for how to measure distance.
+ *
+ * @param {Object.<string, string>} menus - Select menu input values
+ * @returns {string} An HTML select menu
+ */
+function renderRouteMenu(menus) {
+    const routes = new Map([['streets', 'Walking Along Streets']]);
+    return renderMenu(routes, menus.route, 'route', 'Straight-Line Distance');
+}
+
+/**
+ * Get maximum detours, on the way to a second address.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {?string} selected - The value selected
+ * @returns {Map} Menu option values and names for detours
+ */
+function getDetours(schools, selected) {
+    const detours = [0.5, 1, 2, 3, 5];
+    const options = new Map();
+    for (const detour of detours) {
+        const within = schools.filter(school => school.detour <= detour).length;
+        if (within > 0 || detour === parseFloat(selected)) {
+            options.set(detour, `Detour Under ${detour} mi.`);
+        }
+        // Longer detours wouldn't filter out any more schools.
+        if (within === schools.length && detour !== parseFloat(selected)) {
+            options.delete(detour);
+            break;
+        }
+    }
+    return options;
+}
+
+/**
+ * Render a select menu for maximum detours, on the way to a second address.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object.<string, string>} menus - Select menu input values
+ * @returns {string} An HTML select menu
+ */
+function renderDetourMenu(schoolData, menus) {
+    const schools = filterSchools(schoolData, menus, 'detour');
+    const detours = getDetours(schools, menus.detour);
+    return renderMenu(detours, menus.detour, 'detour', 'Any Detour');
+}
+
+/**
+ * Get maximum school travel times.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {?string} selected - The value selected
+ * @returns {Map} Menu option values and names for travel times
+ */
+function getTravelTimes(schools, selected) {
+    const times = [5, 10, 15, 20, 30, 45, 60];
+    const options = new Map();
+    for (const time of times) {
+        const within = schools.filter(school => school.minutes <= time).length;
+        if (within > 0 || time === parseInt(selected)) {
+            options.set(time, `Within ${time} Minutes`);
+        }
+        // Longer times wouldn't filter out any more schools.
+        if (within === schools.length && time !== parseInt(selected)) {
+            options.delete(time);
+            break;
+        }
+    }
+    return options;
+}
+
+/**
+ * Render a select menu for maximum school travel times.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object.<string, string>} menus - Select menu input values
+ * @returns {string} An HTML select menu
+ */
+function renderTravelTimeMenu(schoolData, menus) {
+    const schools = filterSchools(schoolData, menus, 'minutes');
+    const times = getTravelTimes(schools, menus.minutes);
+    return renderMenu(times, menus.minutes, 'minutes', 'Any Travel Time');
+}
+
+/**
+ * Render a select menu for how to travel to school.
+ *
+ * @param {Object.<string, string>} menus - Select menu input values
+ * @returns {string} An HTML select menu
+ */
+function renderTravelModeMenu(menus) {
+    const modes = new Map();
+    for (const [mode, travelMode] of getTravelModes()) {
+        modes.set(mode, `By ${travelMode.name}`);
+    }
+    return renderMenu(modes, menus.mode || 'drive', 'mode');
+}
+
+/**
+ * Render number inputs for travel speeds, to estimate travel times.
+ *
+ * @param {Object.<string, number>} travel - Speeds in mph, and the detour factor
+ * @param {boolean} [open=false] - Whether to expand the inputs
+ * @returns {string} An HTML details element
+ */
+function renderTravelSpeeds(travel, open = false) {
+    const o = open ? ' open' : '';
+    let html = `<details id="travelSpeeds"${o}>`;
+    html += '<summary>Travel Speeds</summary>';
+    html += '<p class="hint">Average speeds, including stops, in miles per hour.';
+    html += ' Trips are longer than straight lines by the detour factor.</p>';
+    html += '<div class="checkboxes">';
+    for (const [mode, travelMode] of getTravelModes()) {
+        html += '<label>';
+        html += `<input type="number" name="speed" value="${travel[mode]}"`;
+        html += ` data-field="${mode}" min="1" max="60" step="any">`;
+        html += ` ${travelMode.name}</label>`;
+    }
+    html += '<label>';
+    html += `<input type="number" name="speed" value="${travel.detour}"`;
+    html += ' data-field="detour" min="1" max="3" step="0.1">';
+    html += ' Detour Factor</label>';
+    html += '</div>';
+    html += '</details>';
+    return html;
+}
+
 /**
  * Filter which fields to sort by.
  *
@@ -556,6 +726,9 @@ function getSortables(shown) {
     const fields = new Map([
         ['name', 'Name'],
         ['distance', 'Distance'],
+        ['minutes', 'Travel Time'],
+        ['anchorDistance', 'Distance to 2nd Address'],
+        ['detour', 'Detour'],
         ['neighborhood', 'Neighborhood'],
         ['usnews', 'US News Ranking'],
         ['greatschools', 'GreatSchools Score'],
@@ -566,6 +739,8 @@ function getSortables(shown) {
         ['science', 'Science'],
         ['graduated', 'Graduated'],
         ['seatsPerApp', 'Seats/App'],
+        ['score', 'My Score'],
+        ['slack', 'Slack'],
     ]);
     for (const [field, desc] of fields) {
         fields.set(field, `Sort by ${desc}`);
@@ -577,12 +752,13 @@ function getSortables(shown) {
  * Render a select menu for which criteria to sort schools by.
  *
  * @param {Object.<string, boolean>} shown - Which fields are shown
- * @param {string} sort - Which field to sort by
+ * @param {string} sort - Which fields to sort by, e.g. "distance,reading"
  * @returns {string} An HTML select menu
  */
 function renderSortMenu(shown, sort) {
     const sorts = getSortables(shown);
-    return renderMenu(sorts, sort, 'sort');
+    const [primary] = parseSortSpec(sort);
+    return renderMenu(sorts, primary.field, 'sort');
 }
 
 /**
@@ -594,6 +770,244 @@ function renderAddressInput() {
     let html = '<input name="address" id="address" list="addresses"';
     html += ' placeholder="Your Address" autocomplete="street-address">';
     html += '<datalist id="addresses"></datalist>';
+    html += '<button type="button" id="locate">Use My Location</button>';
+    html += '<span id="locateStatus" class="hint" role="status"></span>';
+    html += '<span id="myNeighborhood" class="hint"></span>';
+    return html;
+}
+
+/**
+ * Find the user's neighborhood and the ones next to it, that have schools.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @returns {Array.<string>} Neighborhood names, starting with the user's
+ */
+function findNearbyNeighborhoods(schoolData, coords) {
+    const hood = findNeighborhood(neighborhoodData, coords);
+    if (!hood) {
+        return [];
+    }
+    const nearby = [hood, ...findAdjacentNeighborhoods(neighborhoodData, hood)];
+    return nearby.filter(name => schoolData.some(school => school.neighborhood === name));
+}
+
+/**
+ * Render which neighborhood the user is in, with a button to show schools
+ * there and in adjacent neighborhoods.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @returns {string} HTML text, or nothing if the neighborhood is unknown
+ */
+function renderMyNeighborhood(schoolData, coords) {
+    const hood = findNeighborhood(neighborhoodData, coords);
+    if (!hood) {
+        return '';
+    }
+    let html = `You are in ${escapeHTML(hood)}.`;
+    const nearby = findNearbyNeighborhoods(schoolData, coords);
+    if (nearby.length > 0) {
+        const title = escapeHTML(nearby.join(', '));
+        html += ` <button type="button" id="nearby" title="${title}">`;
+        html += 'Show Schools Here and Next Door</button>';
+    }
+    return html;
+}
+
+/**
+ * Render a text input for a second address, e.g. a workplace.
+ *
+ * It shares suggestions with the address input.
+ *
+ * @returns {string} A text input for a street address
+ */
+function renderAnchorInput() {
+    let html = '<input name="anchor" id="anchor" list="addresses"';
+    html += ' placeholder="Work or Other Address" autocomplete="off"';
+    html += ' title="See how far out of your way each school is">';
+    return html;
+}
+
+/**
+ * Render checkboxes for choosing which table columns to show.
+ *
+ * @param {Object.<string, boolean>} columns - Which columns the user chose to show
+ * @param {boolean} [open=false] - Whether to expand the checkboxes
+ * @returns {string} An HTML details element
+ */
+function renderColumnPicker(columns, open = false) {
+    const o = open ? ' open' : '';
+    let html = `<details id="columnPicker"${o}>`;
+    html += '<summary>Columns</summary>';
+    html += '<div class="checkboxes">';
+    for (const [column, desc] of getColumns()) {
+        const checked = (columns[column] !== false) ? ' checked' : '';
+        html += '<label>';
+        html += `<input type="checkbox" name="column" value="${column}"${checked}>`;
+        html += ` ${desc}</label>`;
+    }
+    html += '</div>';
+    html += '</details>';
+    return html;
+}
+
+/**
+ * Get the fields users may weigh, to score schools.
+ *
+ * @returns {Map} Field names and descriptions
+ */
+function getWeightFields() {
+    return new Map([
+        ['distance', 'Distance'],
+        ['greatschools', 'GreatSchools'],
+        ['usnews', 'US News'],
+        ['reading', 'Reading'],
+        ['math', 'Math'],
+        ['ratio', 'Student Teacher Ratio'],
+        ['seatsPerApp', 'Seats/App'],
+    ]);
+}
+
+/**
+ * Render number inputs for weighing fields, to score schools.
+ *
+ * @param {Object.<string, number>} weights - How much each field matters
+ * @param {boolean} [open=false] - Whether to expand the inputs
+ * @returns {string} An HTML details element
+ */
+function renderWeights(weights, open = false) {
+    const o = open ? ' open' : '';
+    let html = `<details id="weights"${o}>`;
+    html += '<summary>My Score</summary>';
+    html += '<p class="hint">Weigh what matters to you, from 0 to 10.</p>';
+    html += '<div class="checkboxes">';
+    for (const [field, desc] of getWeightFields()) {
+        const weight = weights[field] ?? 0;
+        html += '<label>';
+        html += `<input type="number" name="weight" value="${weight}"`;
+        html += ` data-field="${field}" min="0" max="10" step="1">`;
+        html += ` ${desc}</label>`;
+    }
+    html += '</div>';
+    html += '</details>';
+    return html;
+}
+
+/**
+ * Render number inputs for minimum and maximum values, e.g. of reading scores.
+ *
+ * Each input's placeholder shows the range of values among the schools that
+ * the other filters show.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object.<string, string>} menus - Select menu input values
+ * @param {boolean} [open=false] - Whether to expand the inputs
+ * @returns {string} An HTML details element
+ */
+function renderThresholds(schoolData, menus, open = false) {
+    const o = open ? ' open' : '';
+    let html = `<details id="thresholds"${o}>`;
+    html += '<summary>More Filters</summary>';
+    html += '<div class="checkboxes">';
+    for (const [name, threshold] of getThresholds()) {
+        const schools = filterSchools(schoolData, menus, name);
+        const range = findRange(schools, threshold.field);
+        const placeholder = range ? `${range[0]}–${range[1]}` : 'Any';
+        html += '<label>';
+        html += `<input type="number" name="threshold" value="${escapeHTML(menus[name] ?? '')}"`;
+        html += ` data-menu="${name}" min="0" placeholder="${placeholder}">`;
+        html += ` ${threshold.label}</label>`;
+    }
+    html += '</div>';
+    const nulls = new Map([['hide', 'Hide Schools Missing Data']]);
+    html += renderMenu(nulls, menus.nulls, 'nulls', 'Show Schools Missing Data');
+    html += '</details>';
+    return html;
+}
+
+/**
+ * Render inputs for a parent's morning schedule, to filter schools by start time.
+ *
+ * @param {Object.<string, string>} menus - Select menu input values
+ * @param {boolean} [open=false] - Whether to expand the inputs
+ * @returns {string} An HTML details element
+ */
+function renderSchedule(menus, open = false) {
+    const o = open ? ' open' : '';
+    let html = `<details id="schedule"${o}>`;
+    html += '<summary>My Morning</summary>';
+    html += '<p class="hint">Show schools that start after you can drop off,';
+    html += ' and early enough to get to work on time.</p>';
+    html += '<div class="checkboxes">';
+    html += '<label><input type="time" name="schedule" data-menu="leave"';
+    html += ` value="${escapeHTML(menus.leave ?? '')}"> Earliest I Can Leave Home</label>`;
+    html += '<label><input type="time" name="schedule" data-menu="work"';
+    html += ` value="${escapeHTML(menus.work ?? '')}"> Work Starts</label>`;
+    html += '<label><input type="number" name="schedule" data-menu="commute"';
+    html += ` value="${escapeHTML(menus.commute ?? '')}" min="0" step="5" placeholder="0">`;
+    html += ' Minutes From School to Work</label>';
+    html += '</div>';
+    html += '</details>';
+    return html;
+}
+
+/**
+ * Render buttons for downloading the schools shown, in various formats.
+ *
+ * @returns {string} HTML buttons
+ */
+function renderExportButtons() {
+    let html = '<div class="buttons">';
+    html += '<span>Download:</span>';
+    html += '<button type="button" name="export" value="csv">CSV</button>';
+    html += '<button type="button" name="export" value="json">JSON</button>';
+    html += '<button type="button" name="export" value="geojson">GeoJSON</button>';
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Render a text input for searching schools by name.
+ *
+ * @returns {string} A text input for a school name
+ */
+function renderNameInput() {
+    let html = '<input type="search" name="name" id="name"';
+    html += ' placeholder="School Name" autocomplete="off">';
+    return html;
+}
+
+/**
+ * Render inputs for saving searches by name, and switching between them.
+ *
+ * @param {Array.<Preset>} presets - Saved searches
+ * @param {string} selected - The name of the current saved search, if any
+ * @param {boolean} [open=false] - Whether to expand the inputs
+ * @returns {string} An HTML details element
+ */
+function renderPresets(presets, selected, open = false) {
+    const o = open ? ' open' : '';
+    const name = escapeHTML(selected);
+    let html = `<details id="presets"${o}>`;
+    html += '<summary>Saved Searches</summary>';
+    html += '<p class="hint">Save the address, filters, columns, and sort order';
+    html += ' by name, to switch between searches.</p>';
+    const options = new Map();
+    for (const preset of presets) {
+        const value = escapeHTML(preset.name);
+        options.set(value, value);
+    }
+    html += renderMenu(options, name, 'preset', 'Unsaved Search');
+    html += '<div class="buttons">';
+    html += `<input type="text" id="presetName" value="${name}"`;
+    html += ' placeholder="Search Name" autocomplete="off">';
+    const disabled = selected ? '' : ' disabled';
+    html += '<button type="button" name="presetAction" value="save">Save</button>';
+    html += `<button type="button" name="presetAction" value="rename"${disabled}>Rename</button>`;
+    html += `<button type="button" name="presetAction" value="delete"${disabled}>Delete</button>`;
+    html += '</div>';
+    html += '</details>';
     return html;
 }
 
@@ -603,14 +1017,25 @@ function renderAddressInput() {
  * @param {Object.<string, boolean>} shown - Which fields are shown
  * @param {Schools} schoolData - Data about all schools
  * @param {Object} inputs - Form input values
+ * @param {Array.<Preset>} presets - Saved searches
+ * @param {Object.<string, boolean>} [open={}] - Which details elements to expand
  * @returns {string} An HTML form
  */
-function renderForm(shown, schoolData, inputs) {
+function renderForm(shown, schoolData, inputs, presets, open = {}) {
     let html = '<form id="schoolForm">';
     html += '<div class="form-group">';
+    html += renderPresets(presets, inputs.preset, open.presets);
+    html += '</div>';
+    html += '<div class="form-group">';
     html += renderAddressInput();
     html += '</div>';
     html += '<div class="form-group">';
+    html += renderAnchorInput();
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderNameInput();
+    html += '</div>';
+    html += '<div class="form-group">';
     html += renderSortMenu(shown, inputs.menus.sort);
     html += '</div>';
     html += '<div class="form-group">';
@@ -632,63 +1057,173 @@ function renderForm(shown, schoolData, inputs) {
     html += renderTargetMenu(schoolData, inputs.menus);
     html += '</div>';
     html += '<div class="form-group">';
+    html += renderCharterMenu(schoolData, inputs.menus);
+    html += '</div>';
+    html += '<div class="form-group">';
     html += renderDistanceMenu(schoolData, inputs.menus);
     html += '</div>';
     html += '<div class="form-group">';
+    html += renderRouteMenu(inputs.menus);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderDetourMenu(schoolData, inputs.menus);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderTravelModeMenu(inputs.menus);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderTravelTimeMenu(schoolData, inputs.menus);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderTravelSpeeds(inputs.travel, open.travelSpeeds);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderSchedule(inputs.menus, open.schedule);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderThresholds(schoolData, inputs.menus, open.thresholds);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderColumnPicker(inputs.columns, open.columnPicker);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderWeights(inputs.weights, open.weights);
+    html += '</div>';
+    html += '<div class="form-group">';
+    html += renderExportButtons();
+    html += '</div>';
+    html += '<div class="form-group">';
     html += '<button type="reset">Reset</button>';
     html += '</div>';
     html += '</form>';
     return html;
 }
 
+/**
+ * Render a table column header, with a button to sort by that column.
+ *
+ * @param {string} field - The field to sort by, e.g. distance
+ * @param {string} text - The header text, as HTML
+ * @param {Array.<SortKey>} keys - Fields to sort by, and their directions
+ * @param {string} [title=''] - A description of the column
+ * @returns {string} An HTML table header cell
+ */
+function renderSortableHeader(field, text, keys, title = '') {
+    const t = title ? ` title="${title}"` : '';
+    const index = keys.findIndex(key => key.field === field);
+    let aria = '';
+    let arrow = '';
+    if (index >= 0) {
+        const order = keys[index].order;
+        arrow = (order === 'asc') ? ' &#9650;' : ' &#9660;';
+        if (keys.length > 1) {
+            arrow += `<sup>${index + 1}</sup>`;
+        }
+        if (index === 0) {
+            aria = (order === 'asc') ? ' aria-sort="ascending"' : ' aria-sort="descending"';
+        }
+    }
+    let html = `<th${t}${aria}>`;
+    html += `<button type="button" class="sort" value="${field}"`;
+    html += ' title="Click to sort, shift-click to sort by more columns">';
+    html += `${text}${arrow}</button>`;
+    html += '</th>';
+    return html;
+}
+
 /**
  * Render the header for an HTML table showing school data.
  *
  * @param {Object.<string, boolean>} shown - Which fields are shown
+ * @param {string} sort - Which fields to sort by, e.g. "distance,reading"
+ * @param {string} [route=''] - How distance is measured, e.g. streets
  * @returns {string} An HTML table header
  */
-function renderHeader(shown) {
+function renderHeader(shown, sort, route = '') {
+    const keys = parseSortSpec(sort);
+    const th = (field, text, title = '') => renderSortableHeader(field, text, keys, title);
     let html = '';
     html += '<thead>';
     html += '<tr>';
-    html += '<th>Name</th>';
-    html += '<th>Grades</th>';
-    html += '<th>Start Time</th>';
+    html += '<th title="Compare up to 4 schools">Compare</th>';
+    html += '<th title="Add to your ranked list">Rank</th>';
+    html += th('name', 'Name');
+    if (shown.score) {
+        html += th('score', 'My Score', 'Weighted score: higher numbers are better');
+    }
+    if (shown.code) {
+        html += '<th>SFUSD Code</th>';
+    }
+    if (shown.grades) {
+        html += '<th>Grades</th>';
+    }
+    if (shown.start) {
+        html += '<th>Start Time</th>';
+    }
+    if (shown.slack) {
+        html += th('slack', 'Slack', 'Minutes to spare, dropping off at the start time');
+    }
     if (shown.distance) {
-        html += '<th>Distance</th>';
+        const how = (route === 'streets') ? 'Walking distance along streets' : 'Straight-line distance';
+        html += th('distance', 'Distance', how);
+    }
+    if (shown.minutes) {
+        html += th('minutes', 'Travel Time', 'Estimated minutes, by the chosen travel mode');
+    }
+    if (shown.anchorDistance) {
+        html += th('anchorDistance', 'To 2nd Address', 'From school to your second address');
+    }
+    if (shown.detour) {
+        html += th('detour', 'Detour', 'Extra distance, compared with going there directly');
+    }
+    if (shown.neighborhood) {
+        html += th('neighborhood', 'Neighborhood');
+    }
+    if (shown.address) {
+        html += '<th>Address</th>';
     }
-    html += '<th>Neighborhood</th>';
-    html += '<th>Address</th>';
     if (shown.usnews) {
-        html += '<th title="Ranking: lower numbers are better">US News</th>';
+        html += th('usnews', 'US News', 'Ranking: lower numbers are better');
     }
     if (shown.greatschools) {
-        html += '<th title="Score: higher numbers are better">Great<wbr>Schools</th>';
+        html += th('greatschools', 'Great<wbr>Schools', 'Score: higher numbers are better');
+    }
+    if (shown.students) {
+        html += th('students', 'Students');
     }
-    html += '<th>Students</th>';
     if (shown.teachers) {
         html += '<th>Teachers</th>';
     }
     if (shown.ratio) {
-        html += '<th title="Student:Teacher">Ratio</th>';
+        html += th('ratio', 'Ratio', 'Student:Teacher');
     }
     if (shown.reading) {
-        html += '<th>Reading</th>';
+        html += th('reading', 'Reading');
     }
     if (shown.math) {
-        html += '<th>Math</th>';
+        html += th('math', 'Math');
     }
     if (shown.science) {
-        html += '<th>Science</th>';
+        html += th('science', 'Science');
     }
     if (shown.graduated) {
-        html += '<th>Graduated</th>';
+        html += th('graduated', 'Graduated');
+    }
+    if (shown.minority) {
+        html += '<th>Minority</th>';
+    }
+    if (shown.lowIncome) {
+        html += '<th>Low Income</th>';
+    }
+    if (shown.gender) {
+        html += '<th title="Male/Female">M/F</th>';
+    }
+    if (shown.seatsPerApp) {
+        html += th('seatsPerApp', 'Seats/App', 'Chance of Acceptance');
+    }
+    if (shown.languages) {
+        html += '<th>Languages</th>';
     }
-    //html += '<th>Minority</th>';
-    //html += '<th>Low Income</th>';
-    //html += '<th title="Male/Female">M/F</th>';
-    html += '<th title="Chance of Acceptance">Seats/App</th>';
-    html += '<th>Languages</th>';
     if (shown.feedsInto) {
         html += '<th>Feeds Into</th>';
     }
@@ -758,6 +1293,19 @@ function renderDistance(distance) {
     return distance.toFixed(1) + ' mi.';
 }
 
+/**
+ * Format a travel time, e.g. "12 min."
+ *
+ * @param {?number} minutes - Travel time in minutes
+ * @returns {string} A travel time, or the empty string
+ */
+function renderMinutes(minutes) {
+    if (minutes === null || minutes === undefined) {
+        return '';
+    }
+    return `${minutes} min.`;
+}
+
 /**
  * Format a school's GreatSchools score, e.g. "5/10".
  *
@@ -802,38 +1350,114 @@ function renderSchoolName(school) {
 }
 
 /**
- * Render one school's data as a table row.
+ * Get the search terms for a school, for Google Maps.
  *
- * @param {Object.<string, boolean>} shown - Which fields are shown
- * @param {Schools} schools - Data about some schools
- * @param {string} address - A street address
- * @returns {string} An HTML table row
+ * @param {School} school - Data about a school
+ * @returns {string} The search terms for a school
  */
-function renderRow(shown, school, address) {
+function getSchoolSearch(school) {
     const fullName = getSchoolFullName(school);
-    const city = 'San Francisco, CA';
-    const origin = `${address}, ${city}, USA`;
-    const search = `${fullName}, ${school.address}, ${city} ${school.zip}`;
+    return `${fullName}, ${school.address}, San Francisco, CA ${school.zip}`;
+}
+
+/**
+ * Render a checkbox for comparing a school with others.
+ *
+ * @param {School} school - Data about a school
+ * @param {Array.<string>} compared - Which schools to compare, by key
+ * @returns {string} An HTML checkbox
+ */
+function renderCompareCheckbox(school, compared) {
+    const key = getSchoolKey(school);
+    const checked = compared.includes(key) ? ' checked' : '';
+    const disabled = canCompare(compared, key) ? '' : ' disabled';
+    const name = getSchoolName(school);
+    return `<input type="checkbox" name="compare" value="${key}"`
+        + ` aria-label="Compare ${name}"${checked}${disabled}>`;
+}
+
+/**
+ * Render a school's place in the ranked list, or a button to add it.
+ *
+ * @param {School} school - Data about a school
+ * @param {Map.<string, ?number>} ranks - Ranks, or null for charter schools, by key
+ * @returns {string} A school's rank, or an HTML button
+ */
+function renderRankButton(school, ranks) {
+    const key = getSchoolKey(school);
+    if (ranks.has(key)) {
+        const rank = ranks.get(key);
+        return (rank === null) ? '<span title="Apply directly">&check;</span>' : `#${rank}`;
+    }
+    const name = getSchoolName(school);
+    return `<button type="button" name="rank" value="${key}"`
+        + ` aria-label="Add ${name} to your ranked list">+</button>`;
+}
+
+/**
+ * Render one school's data as a table row.
+ *
+ * @param {Object.<string, boolean>} shown - Which fields are shown
+ * @param {School} school - Data about a school
+ * @param {Object} inputs - Form input values
+ * @param {Map.<string, ?number>} ranks - Ranks, or null for charter schools, by key
+ * @returns {string} An HTML table row
+ */
+function renderRow(shown, school, inputs, ranks) {
+    const origin = `${inputs.address}, San Francisco, CA, USA`;
+    const search = getSchoolSearch(school);
     const distance = renderDistance(school.distance);
     const directionsLink = renderDirectionsLink(origin, search, distance);
     const mapLink = renderMapLink(search, school.address);
     let html = '';
-    html += '<tr>';
+    html += `<tr data-key="${getSchoolKey(school)}">`;
+    html += `<td class="compare">${renderCompareCheckbox(school, inputs.compare)}</td>`;
+    html += `<td class="num">${renderRankButton(school, ranks)}</td>`;
     html += `<td>${renderSchoolName(school)}</td>`;
-    html += `<td>${renderGradeRange(school)}</td>`;
-    html += `<td class="num">${school.start}</td>`;
+    if (shown.score) {
+        html += `<td class="num">${school.score ?? ''}</td>`;
+    }
+    if (shown.code) {
+        html += `<td class="num">${school.code ?? ''}</td>`;
+    }
+    if (shown.grades) {
+        html += `<td>${renderGradeRange(school)}</td>`;
+    }
+    if (shown.start) {
+        html += `<td class="num">${school.start}</td>`;
+    }
+    if (shown.slack) {
+        html += `<td class="num">${school.slack ?? ''}</td>`;
+    }
     if (shown.distance) {
         html += `<td class="num">${directionsLink}</td>`;
     }
-    html += `<td>${school.neighborhood}</td>`;
-    html += `<td>${mapLink}</td>`;
+    if (shown.minutes) {
+        html += `<td class="num">${renderMinutes(school.minutes)}</td>`;
+    }
+    if (shown.anchorDistance) {
+        const anchor = `${inputs.anchor}, San Francisco, CA, USA`;
+        const text = renderDistance(school.anchorDistance);
+        html += `<td class="num">${renderDirectionsLink(search, anchor, text)}</td>`;
+    }
+    if (shown.detour) {
+        html += `<td class="num">${renderDistance(school.detour)}</td>`;
+    }
+    if (shown.neighborhood) {
+        html += `<td>${school.neighborhood}</td>`;
+    }
+    if (shown.address) {
+        html += `<td>${mapLink}</td>`;
+    }
     if (shown.usnews) {
         html += `<td class="num">${renderUSNewsRank(school)}</td>`;
     }
     if (shown.greatschools) {
         html += `<td class="num">${renderGreatSchoolsScore(school)}</td>`;
     }
-    html += `<td class="num">${school.students ?? ''}</td>`;
+    if (shown.students) {
+        html += `<td class="num">${school.students ?? ''}</td>`;
+    }
     if (shown.teachers) {
         html += `<td class="num">${school.teachers ?? ''}</td>`;
     }
@@ -852,11 +1476,21 @@ function renderRow(shown, school, address) {
     if (shown.graduated) {
         html += `<td class="num">${renderPercent(school.graduated)}</td>`;
     }
-    //html += `<td class="num">${renderPercent(school.minority)}</td>`;
-    //html += `<td class="num">${renderPercent(school.lowIncome)}</td>`;
-    //html += `<td class="num">${renderGender(school.male, school.female)}</td>`;
-    html += `<td class="num">${renderPercent(school.seatsPerApp)}</td>`;
-    html += `<td>${renderList(school.languages)}</td>`;
+    if (shown.minority) {
+        html += `<td class="num">${renderPercent(school.minority)}</td>`;
+    }
+    if (shown.lowIncome) {
+        html += `<td class="num">${renderPercent(school.lowIncome)}</td>`;
+    }
+    if (shown.gender) {
+        html += `<td class="num">${renderGender(school.male, school.female)}</td>`;
+    }
+    if (shown.seatsPerApp) {
+        html += `<td class="num">${renderPercent(school.seatsPerApp)}</td>`;
+    }
+    if (shown.languages) {
+        html += `<td>${renderList(school.languages)}</td>`;
+    }
     if (shown.feedsInto) {
         html += `<td>${renderList(school.feedsInto)}</td>`;
     }
@@ -869,10 +1503,11 @@ function renderRow(shown, school, address) {
  *
  * @param {Object.<string, boolean>} shown - Which fields are shown
  * @param {Schools} schools - Data about some schools
- * @param {string} address - A street address
+ * @param {Object} inputs - Form input values
+ * @param {Map.<string, ?number>} ranks - Ranks, or null for charter schools, by key
  * @returns {string} An HTML table
  */
-function renderTable(shown, schools, address) {
+function renderTable(shown, schools, inputs, ranks) {
     const numSchools = Object.keys(schools).length;
     let html = '<table>';
     html += `<caption>${numSchools} Schools</caption>`;
@@ -880,10 +1515,10 @@ function renderTable(shown, schools, address) {
         html += '</table>';
         return html;
     }
-    html += renderHeader(shown);
+    html += renderHeader(shown, inputs.menus.sort, inputs.menus.route);
     html += '<tbody>';
     for (const school of schools) {
-        html += renderRow(shown, school, address);
+        html += renderRow(shown, school, inputs, ranks);
     }
     html += '</tbody>';
     html += '</table>';
@@ -891,178 +1526,510 @@ function renderTable(shown, schools, address) {
 }
 
 /**
- * Determine whether to show this school, based on its type, e.g. Elementary.
+ * Render buttons that remove a filter, when no schools match them all.
  *
- * @param {School} school - Data about a school
- * @param {string} type - School type, e.g. Elementary
- * @returns {boolean} Whether to show this school
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object.<string, (string|Array.<string>)>} menus - Select menu input values
+ * @returns {string} HTML suggestions
+ */
+function renderRelaxations(schoolData, menus) {
+    const relaxations = findRelaxations(schoolData, menus);
+    let html = '<div id="relaxations" class="buttons">';
+    if (relaxations.length < 1) {
+        html += '<span>No single filter explains it.</span>';
+        html += '<button type="button" name="relax" value="">Clear All Filters</button>';
+    }
+    for (const [name, numSchools] of relaxations) {
+        const noun = numSchools === 1 ? 'school' : 'schools';
+        html += `<button type="button" name="relax" value="${name}">`;
+        html += `Remove ‘${escapeHTML(describeFilter(name, menus[name]))}’`;
+        html += ` to see ${numSchools} ${noun}</button>`;
+    }
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Determine whether a school can be compared with those already chosen.
+ *
+ * @param {Array.<string>} compared - Which schools to compare, by key
+ * @param {string} key - A school's unique identifier
+ * @returns {boolean} Whether the school is, or may be, compared
  */
-function filterType(school, type) {
-    return !type || school.types.includes(type);
+function canCompare(compared, key) {
+    return compared.includes(key) || compared.length < 4;
 }
 
 /**
- * Determine whether to show this school, based on its grade levels, e.g. TK.
+ * Get the fields to show when comparing schools, and how to render them.
  *
- * @param {School} school - Data about a school
- * @param {string} grade - School grade level, e.g. TK
- * @returns {boolean} Whether to show this school
- */
-function filterGrade(school, grade) {
-    if (!grade) return true;
-    if (grade === 'pk') return school.pk;
-    if (grade === 'tk') return school.tk;
-    if (grade === 'k') return school.k;
-    const gradeNum = parseInt(grade);
-    if (isNaN(gradeNum)) {
-        return true;
+ * @param {string} address - A street address
+ * @returns {Map} Field names, and functions that render a school's field
+ */
+function getComparisonFields(address) {
+    const origin = `${address}, San Francisco, CA, USA`;
+    return new Map([
+        ['Name', renderSchoolName],
+        ['SFUSD Code', school => school.code ?? ''],
+        ['Type', school => school.types.join(', ')],
+        ['Charter', school => school.charter ? 'Yes' : 'No'],
+        ['Grades', renderGradeRange],
+        ['Start Time', school => school.start],
+        ['Distance', school => renderDirectionsLink(origin,
+            getSchoolSearch(school), renderDistance(school.distance))],
+        ['Neighborhood', school => school.neighborhood],
+        ['Address', school => renderMapLink(getSchoolSearch(school),
+            `${school.address} ${school.zip}`)],
+        ['Coordinates', school => renderLink(getCoordsURL(school.ll),
+            school.ll.join(', '), true)],
+        ['US News', renderUSNewsRank],
+        ['GreatSchools', renderGreatSchoolsScore],
+        ['Students', school => school.students ?? ''],
+        ['Teachers', school => school.teachers ?? ''],
+        ['Ratio', school => renderRatio(school.ratio)],
+        ['Reading', school => renderPercent(school.reading)],
+        ['Math', school => renderPercent(school.math)],
+        ['Science', school => renderPercent(school.science)],
+        ['Graduated', school => renderPercent(school.graduated)],
+        ['Minority', school => renderPercent(school.minority)],
+        ['Low Income', school => renderPercent(school.lowIncome)],
+        ['Male/Female', school => renderGender(school.male, school.female)],
+        ['Seats/App', school => renderPercent(school.seatsPerApp)],
+        ['Languages', school => renderList(school.languages)],
+        ['Feeds Into', school => renderList(school.feedsInto)],
+    ]);
+}
+
+/**
+ * Render a side-by-side comparison of the chosen schools.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Array.<string>} compared - Which schools to compare, by key
+ * @param {string} address - A street address
+ * @param {boolean} [open=false] - Whether to expand the comparison
+ * @returns {string} An HTML details element, or the empty string
+ */
+function renderComparison(schoolData, compared, address, open = false) {
+    const schools = findSchoolsByKey(schoolData, compared);
+    if (schools.length < 1) {
+        return '';
     }
-    if (school.min === null || school.max === null) {
-        return false;
+    const o = open ? ' open' : '';
+    let html = `<details id="comparison"${o}>`;
+    const unit = (schools.length === 1) ? 'School' : 'Schools';
+    html += `<summary>Compare ${schools.length} ${unit}</summary>`;
+    html += '<table>';
+    html += '<tbody>';
+    for (const [field, render] of getComparisonFields(address)) {
+        html += `<tr><th>${field}</th>`;
+        for (const school of schools) {
+            html += `<td>${render(school)}</td>`;
+        }
+        html += '</tr>';
+    }
+    html += '<tr><th></th>';
+    for (const school of schools) {
+        const key = getSchoolKey(school);
+        html += `<td><button type="button" name="uncompare" value="${key}">`;
+        html += 'Remove</button></td>';
     }
-    return gradeNum >= school.min && gradeNum <= school.max;
+    html += '</tr>';
+    html += '</tbody>';
+    html += '</table>';
+    html += '</details>';
+    return html;
 }
 
 /**
- * Determine whether to show this school, based on its neighborhood.
+ * Render the best combinations of schools for a family's children.
  *
- * @param {School} school - Data about a school
- * @param {string} neighborhood - School neighborhood, e.g. Bayview
- * @returns {boolean} Whether to show this school
+ * @param {Array.<Plan>} plans - The best plans, best first
+ * @param {Array.<string>} grades - Each child's grade level, e.g. K
+ * @returns {string} An HTML table
  */
-function filterNeighborhood(school, neighborhood) {
-    return !neighborhood || neighborhood === school.neighborhood;
+function renderPlans(plans, grades) {
+    let html = '<table>';
+    html += '<thead><tr>';
+    for (let i = 0; i < grades.length; i++) {
+        html += `<th>Child ${i + 1}: ${grades[i]}</th>`;
+    }
+    html += '<th title="Minutes between start times">Gaps</th>';
+    html += '<th title="Distance from home, between all the schools">Miles</th>';
+    html += '<th title="Minutes from leaving home to the last drop-off">Minutes</th>';
+    html += '</tr></thead>';
+    html += '<tbody>';
+    for (const plan of plans) {
+        html += '<tr>';
+        for (const school of plan.schools) {
+            html += `<td>${renderSchoolName(school)} ${school.start}</td>`;
+        }
+        html += `<td class="num">${plan.gaps.join(', ')}</td>`;
+        html += `<td class="num">${plan.miles.toFixed(1)}</td>`;
+        const warning = plan.feasible ? ''
+            : ' <span title="Not enough time to get between schools">&#9888;</span>';
+        html += `<td class="num">${plan.minutes.toFixed(0)}${warning}</td>`;
+        html += '</tr>';
+    }
+    html += '</tbody>';
+    html += '</table>';
+    return html;
 }
 
 /**
- * Determine whether to show this school, based on its start time.
+ * Identify the inputs that siblings' morning plans depend on.
  *
- * @param {School} school - Data about a school
- * @param {string} start - School start time hour, e.g. 8
- * @returns {boolean} Whether to show this school
+ * @param {Object} inputs - Form input values
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @returns {string} A key for the plans, as JSON
  */
-function filterStartTime(school, start) {
-    if (!start) {
-        return true;
+function getPlanKey(inputs, coords) {
+    return JSON.stringify([inputs.children, copyFilters(inputs.menus),
+        inputs.menus.route, inputs.menus.mode, inputs.travel, coords]);
+}
+
+/**
+ * Plan mornings for more than one child, and keep the plans for rendering.
+ *
+ * Each child's schools are those shown by the filters, other than grade, that
+ * have the child's grade.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object} inputs - Form input values
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ */
+function findPlans(schoolData, inputs, coords) {
+    const children = inputs.children.filter(grade => grade !== '');
+    const candidates = children.map(grade => filterSchools(schoolData,
+        {...inputs.menus, grade}));
+    const minutesFor = miles => findTravelMinutes(miles, inputs.menus.mode, inputs.travel);
+    plannerResults = {
+        key: getPlanKey(inputs, coords),
+        plans: planMornings(coords, candidates, 5, minutesFor),
+    };
+}
+
+/**
+ * Render a planner for families with more than one child.
+ *
+ * Plans are shown once they've been found for the current inputs.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object} inputs - Form input values
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @param {boolean} [open=false] - Whether to expand the planner
+ * @returns {string} An HTML details element
+ */
+function renderPlanner(schoolData, inputs, coords, open = false) {
+    const o = open ? ' open' : '';
+    let html = `<details id="planner"${o}>`;
+    html += '<summary>Siblings Planner</summary>';
+    html += '<p class="hint">Add each child\'s grade, to find schools you can';
+    html += ' drop them all off at in one morning.</p>';
+    const grades = getSchoolGrades(schoolData, '');
+    html += '<div class="buttons">';
+    for (let i = 0; i < inputs.children.length; i++) {
+        const grade = inputs.children[i];
+        html += `<label>Child ${i + 1} `;
+        html += renderMenu(grades, grade, `child${i}`, 'Choose a Grade');
+        html += '</label>';
+        html += `<button type="button" name="removeChild" value="${i}"`;
+        html += ` aria-label="Remove child ${i + 1}">&times;</button>`;
+    }
+    const disabled = (inputs.children.length >= getMaxChildren()) ? ' disabled' : '';
+    html += `<button type="button" id="addChild"${disabled}>Add a Child</button>`;
+    html += '</div>';
+    const children = inputs.children.filter(grade => grade !== '');
+    if (children.length < 2 || children.length < inputs.children.length) {
+        html += '</details>';
+        return html;
     }
-    const hour = school.start.split(':')[0];
-    if (hour >= start && hour < parseInt(start) + 1) {
-        return true;
+    // Planning takes a while with many combinations, so wait to be asked.
+    if (plannerResults.key !== getPlanKey(inputs, coords)) {
+        html += '<button type="button" id="planMornings">Plan Mornings</button>';
+        html += '</details>';
+        return html;
+    }
+    const plans = plannerResults.plans;
+    if (plans.length < 1) {
+        html += '<p>No schools match every child\'s grade and the filters.</p>';
+    }
+    else {
+        const names = children.map(grade => grades.get(grade) ?? grades.get(parseInt(grade)));
+        html += renderPlans(plans, names);
     }
-    return false;
+    if (!coords) {
+        html += '<p class="hint">Enter your address to include the trip from home.</p>';
+    }
+    html += '</details>';
+    return html;
 }
 
 /**
- * Determine whether to show this school, based on language programs.
+ * Move a school within the ranked list, in place.
  *
- * @param {School} school - Data about a school
- * @param {string} language - Language program, e.g. Spanish
- * @returns {boolean} Whether to show this school
+ * @param {Array.<string>} ranked - Schools in order of preference, by key
+ * @param {string} key - A school's unique identifier
+ * @param {number} index - The school's new position in the list
+ * @returns {Array.<string>} Schools in order of preference, by key
  */
-function filterLanguage(school, language) {
-    // Has a language been chosen?
-    if (!language) {
-        return true;
-    }
-    // Do any of this school's languages match the chosen language exactly?
-    if (school.languages.includes(language)) {
-        return true;
+function moveRanked(ranked, key, index) {
+    const oldIndex = ranked.indexOf(key);
+    if (oldIndex < 0 || index < 0 || index >= ranked.length) {
+        return ranked;
+    }
+    ranked.splice(oldIndex, 1);
+    ranked.splice(index, 0, key);
+    return ranked;
+}
+
+/**
+ * Render ranked schools as list items, with buttons to reorder and remove them.
+ *
+ * @param {Schools} schools - Data about some schools, in order of preference
+ * @returns {string} HTML list items
+ */
+function renderRankedItems(schools) {
+    let html = '';
+    for (let i = 0; i < schools.length; i++) {
+        const school = schools[i];
+        const key = getSchoolKey(school);
+        const name = getSchoolFullName(school);
+        const code = (school.code === null) ? '' : ` <span class="code">${school.code}</span>`;
+        html += `<li draggable="true" tabindex="0" data-key="${key}">`;
+        html += `<span class="name">${name}${code}</span>`;
+        const up = (i === 0) ? ' disabled' : '';
+        const down = (i === schools.length - 1) ? ' disabled' : '';
+        html += `<button type="button" name="rankUp" value="${key}"`;
+        html += ` aria-label="Move ${name} up"${up}>&uarr;</button>`;
+        html += `<button type="button" name="rankDown" value="${key}"`;
+        html += ` aria-label="Move ${name} down"${down}>&darr;</button>`;
+        html += `<button type="button" name="unrank" value="${key}"`;
+        html += ` aria-label="Remove ${name}">&times;</button>`;
+        html += '</li>';
     }
-    // Do this school's languages contain the chosen language as a substring?
-    // For example, the filter "Spanish" should match "Spanish Immersion".
-    for (const lang of school.languages) {
-        if (lang.includes(language)) {
-            return true;
-        }
+    return html;
+}
+
+/**
+ * Render the ranked list of schools the user prefers.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Array.<string>} ranked - Schools in order of preference, by key
+ * @param {boolean} [open=false] - Whether to expand the list
+ * @returns {string} An HTML details element, or the empty string
+ */
+function renderRankedList(schoolData, ranked, open = false) {
+    const schools = findSchoolsByKey(schoolData, ranked);
+    if (schools.length < 1) {
+        return '';
     }
-    // The chosen language does not match any of this school's languages.
-    return false;
+    const o = open ? ' open' : '';
+    let html = `<details id="rankedList"${o}>`;
+    const unit = (schools.length === 1) ? 'School' : 'Schools';
+    html += `<summary>My Ranked List: ${schools.length} ${unit}</summary>`;
+    html += '<p class="hint">Drag schools, or use the arrow keys, to reorder them.</p>';
+    const district = schools.filter(school => !school.charter);
+    const charter = schools.filter(school => school.charter);
+    if (district.length > 0) {
+        html += '<ol>';
+        html += renderRankedItems(district);
+        html += '</ol>';
+    }
+    if (charter.length > 0) {
+        html += '<h3>Charter Schools: Apply Directly</h3>';
+        html += '<p class="hint">Charter schools aren\'t part of SFUSD\'s ranking.';
+        html += ' Apply to each one on its own website.</p>';
+        html += '<ul>';
+        html += renderRankedItems(charter);
+        html += '</ul>';
+    }
+    html += '<div class="buttons">';
+    html += '<button type="button" id="printRanked">Print</button>';
+    html += '<button type="button" id="downloadRanked">Download as Text</button>';
+    html += '</div>';
+    html += '</details>';
+    return html;
 }
 
 /**
- * Determine whether to show this school, based on which schools it feeds into.
+ * Render a tree of schools, as nested lists.
  *
- * @param {School} school - Data about a school
- * @param {string} target - Target school, e.g. Everett
- * @returns {boolean} Whether to show this school
+ * @param {Array.<PathwayNode>} nodes - Schools, and the schools they lead to
+ * @returns {string} An HTML list, or the empty string
  */
-function filterTarget(school, target) {
-    if (!target) {
-        return true;
+function renderPathwayTree(nodes) {
+    if (nodes.length < 1) {
+        return '';
     }
-    if (school.feedsInto.includes(target)) {
-        return true;
+    let html = '<ul>';
+    for (const node of nodes) {
+        html += `<li data-key="${getSchoolKey(node.school)}">`;
+        html += renderLink(node.school.urls.main, getSchoolFullName(node.school), true);
+        html += renderPathwayTree(node.children);
+        html += '</li>';
     }
-    return false;
+    html += '</ul>';
+    return html;
 }
 
 /**
- * Determine whether to show this school, based on commute distance.
+ * Render feeder pathways to and from a school, e.g. elementary to middle school.
  *
- * @param {School} school - Data about a school
- * @param {string} within - Maximum commute distance in miles
- * @returns {boolean} Whether to show this school
+ * @param {Schools} schoolData - Data about all schools
+ * @param {string} key - The chosen school's unique identifier, or ''
+ * @param {boolean} [open=false] - Whether to expand the pathways
+ * @returns {string} An HTML details element
  */
-function filterWithin(school, within) {
-    if (!within) {
-        return true;
+function renderPathways(schoolData, key, open = false) {
+    const o = open ? ' open' : '';
+    let html = `<details id="pathways"${o}>`;
+    html += '<summary>Feeder Pathways</summary>';
+    // High schools have no feeder schools, but users may look for them.
+    const pathwaySchools = findPathwaySchools(schoolData);
+    const options = new Map();
+    for (const school of schoolData) {
+        if (pathwaySchools.includes(school) || school.types.includes('High')) {
+            options.set(getSchoolKey(school), getSchoolFullName(school));
+        }
     }
-    if (school.distance <= within) {
-        return true;
+    const sorted = new Map([...options].sort((a, b) => a[1].localeCompare(b[1])));
+    html += renderMenu(sorted, key, 'pathway', 'Choose a School');
+    const [school] = findSchoolsByKey(schoolData, [key]);
+    if (!school) {
+        html += '<p class="hint">See which schools an elementary school feeds into,';
+        html += ' or which schools feed into a middle school.</p>';
+        html += '</details>';
+        return html;
+    }
+    const targets = buildPathway(schoolData, school).children;
+    const feeders = buildFeederTree(schoolData, school).children;
+    const name = getSchoolFullName(school);
+    if (targets.length > 0) {
+        html += `<h3>${name} Feeds Into</h3>`;
+        html += renderPathwayTree(targets);
+    }
+    if (feeders.length > 0) {
+        html += `<h3>Schools That Feed Into ${name}</h3>`;
+        html += renderPathwayTree(feeders);
+    }
+    if (targets.length < 1 && feeders.length < 1) {
+        html += school.types.includes('High')
+            ? '<p class="hint">SFUSD high schools don\'t have feeder schools.</p>'
+            : `<p class="hint">${name} isn't part of a feeder pathway.</p>`;
     }
-    return false;
+    html += '</details>';
+    return html;
 }
 
 /**
- * Determine whether to show this school, based on multiple criteria.
+ * Get the width of the map, in SVG user units.
  *
- * @param {School} school - Data about a school
- * @param {Object.<string, string>} filters - Filter menu input values
- * @returns {boolean} Whether to show this school
- */
-function filterSchool(school, filters) {
-    const functions = {
-        type: filterType,
-        grade: filterGrade,
-        neighborhood: filterNeighborhood,
-        start: filterStartTime,
-        language: filterLanguage,
-        target: filterTarget,
-        within: filterWithin,
-    };
-    for (const filter in functions) {
-        if (!(filter in filters)) {
-            // No saved form inputs for this user.
-            continue;
+ * @returns {number} The map's width
+ */
+function getMapWidth() {
+    return 600;
+}
+
+/**
+ * Render an outline of San Francisco, by shading areas with street addresses.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @param {number} [cellSize=5] - The size of each shaded square
+ * @returns {string} An SVG path
+ */
+function renderMapLand(addressData, cellSize = 5) {
+    const bounds = getBounds();
+    const width = getMapWidth();
+    const rows = new Map();
+    for (const st in addressData) {
+        for (const num in addressData[st]) {
+            const coords = expandCoords(addressData[st][num]);
+            const [x, y] = projectCoords(coords, bounds, width);
+            const row = Math.floor(y / cellSize);
+            if (!rows.has(row)) {
+                rows.set(row, new Set());
+            }
+            rows.get(row).add(Math.floor(x / cellSize));
         }
-        const func = functions[filter];
-        if (!func(school, filters[filter])) {
-            return false;
+    }
+    // Draw each horizontal run of cells as one rectangle.
+    let path = '';
+    for (const [row, set] of rows) {
+        const cols = Array.from(set).sort((a, b) => a - b);
+        let start = cols[0];
+        for (let i = 0; i < cols.length; i++) {
+            if (cols[i + 1] === cols[i] + 1) {
+                continue;
+            }
+            const w = (cols[i] - start + 1) * cellSize;
+            path += `M${start * cellSize} ${row * cellSize}h${w}v${cellSize}h-${w}z`;
+            start = cols[i + 1];
         }
     }
-    return true;
+    return `<path class="land" d="${path}"/>`;
 }
 
 /**
- * Determine whether to show each school, based on multiple criteria.
+ * Render map markers for schools and the user's location.
  *
- * @param {Schools} schoolData - Data about all schools
- * @param {Object.<string, string>} menus - Select menu input values
- * @param {?string} [menu=null] - Menu to exclude from filtering
- * @param {Array.<Object>} Data about some schools
+ * @param {Schools} schools - Data about some schools
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @returns {string} SVG elements
  */
-function filterSchools(schoolData, menus, menu = null) {
-    const filters = copyFilters(menus);
-    if (menu !== null) {
-        filters[menu] = '';
-    }
-    const schools = [];
-    for (const school of schoolData) {
-        if (!filters || filterSchool(school, filters)) {
-            schools.push(school);
+function renderMapMarkers(schools, coords) {
+    const bounds = getBounds();
+    const width = getMapWidth();
+    let svg = '';
+    for (const school of schools) {
+        const [x, y] = projectCoords(school.ll, bounds, width);
+        const key = getSchoolKey(school);
+        svg += `<circle class="school" data-key="${key}"`;
+        svg += ` cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="5">`;
+        svg += `<title>${getSchoolName(school)}</title>`;
+        svg += '</circle>';
+    }
+    if (coords) {
+        const [x, y] = projectCoords(coords, bounds, width);
+        svg += `<circle class="home" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="7">`;
+        svg += '<title>Your Address</title>';
+        svg += '</circle>';
+    }
+    return svg;
+}
+
+/**
+ * Render an empty map of San Francisco, to draw on once it's expanded.
+ *
+ * @returns {string} An HTML details element, containing an SVG image
+ */
+function renderMap() {
+    const [width, height] = getMapSize(getBounds(), getMapWidth());
+    let html = '<details id="mapView">';
+    html += '<summary>Map</summary>';
+    html += `<svg viewBox="0 0 ${width} ${Math.ceil(height)}"`;
+    html += ' role="img" aria-label="Map of schools in San Francisco">';
+    html += '<g id="mapLand"></g>';
+    html += '<g id="mapMarkers"></g>';
+    html += '</svg>';
+    html += '</details>';
+    return html;
+}
+
+/**
+ * Highlight a school's table row and map marker, or remove the highlight.
+ *
+ * @param {string} key - A school's unique identifier
+ * @param {boolean} highlight - Whether to highlight the school
+ * @param {boolean} [scroll=false] - Whether to scroll the row into view
+ */
+function highlightSchool(key, highlight, scroll = false) {
+    const elements = document.querySelectorAll(`[data-key="${key}"]`);
+    for (const element of elements) {
+        element.classList.toggle('highlight', highlight);
+        if (scroll && element.tagName === 'TR') {
+            element.scrollIntoView({behavior: 'smooth', block: 'center'});
         }
     }
-    return schools;
 }
 
 /**
@@ -1093,6 +2060,36 @@ function getSchoolName(school, campus = true) {
     return name;
 }
 
+/**
+ * Find schools by their unique identifiers, in the order given.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Array.<string>} keys - Schools' unique identifiers
+ * @returns {Schools} Data about some schools
+ */
+function findSchoolsByKey(schoolData, keys) {
+    const schools = [];
+    for (const key of keys) {
+        const school = schoolData.find(school => getSchoolKey(school) === key);
+        if (school) {
+            schools.push(school);
+        }
+    }
+    return schools;
+}
+
+/**
+ * Get a unique identifier for a school, e.g. rooftop-elementary-mayeda.
+ *
+ * @param {School} school - Data about a school
+ * @returns {string} A unique identifier for the school
+ */
+function getSchoolKey(school) {
+    let key = `${getSchoolName(school, false)} ${school.types[0]} ${school.campus}`;
+    key = compressWhitespace(removePunctuation(removeAccents(key)));
+    return key.toLowerCase().replaceAll(' ', '-');
+}
+
 /**
  * Focus the cursor on an input element.
  *
@@ -1106,31 +2103,141 @@ function focusInput(id) {
 }
 
 /**
- * Update the distance between each school and the user's location.
+ * Get a graph of streets, building it the first time it's needed.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @returns {StreetGraph} Points along streets, and the distances between them
+ */
+function getStreetGraph(addressData) {
+    // This takes about a second, so only do it once.
+    streetGraph ??= buildStreetGraph(addressData);
+    return streetGraph;
+}
+
+/**
+ * Measure the distance between each school and the user's location, in a
+ * straight line, or walking along streets.
  *
  * @param {StreetAddresses} addressData - All SF street addresses
  * @param {Schools} schoolData - Data about all schools
  * @param {Object} inputs - Form input values
  * @param {?LatLon} coords - Degrees latitude and longitude
- * @returns {boolean} Whether the page rendered
  */
-function updateDistances(addressData, schoolData, inputs, coords) {
+function measureDistances(addressData, schoolData, inputs, coords) {
+    const graph = (coords && inputs.menus.route === 'streets')
+        ? getStreetGraph(addressData) : null;
+    const start = graph ? findNearestNode(graph, coords) : null;
+    const distances = start ? findPathDistances(graph, start[0]) : null;
     for (const school of schoolData) {
         school.distance = howFar(coords, school.ll);
+        const end = distances ? findNearestNode(graph, school.ll) : null;
+        // Where streets aren't connected, e.g. Treasure Island, keep the straight line.
+        if (end && isFinite(distances[end[0]])) {
+            school.distance = start[1] + distances[end[0]] + end[1];
+        }
     }
+    updateAnchorDistances(addressData, schoolData, inputs, coords);
+}
+
+/**
+ * Update the distance between each school and the user's location.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object} inputs - Form input values
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @returns {boolean} Whether the page rendered
+ */
+function updateDistances(addressData, schoolData, inputs, coords) {
+    measureDistances(addressData, schoolData, inputs, coords);
     if (!coords) {
         inputs.menus.within = '';
+        inputs.menus.minutes = '';
         return false;
     }
-    if (inputs.menus.sort === '' || inputs.menus.sort === 'name') {
+    if (formatSortSpec(parseSortSpec(inputs.menus.sort)) === 'name:asc') {
         inputs.menus.sort = 'distance';
-        storeItem('inputs', inputs);
+        saveInputs(inputs);
     }
     renderPage(addressData, schoolData, inputs, coords);
     focusInput('address');
     return true;
 }
 
+/**
+ * Update the distance between each school and a second address, and the
+ * detour to each school on the way there from the user's location.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object} inputs - Form input values
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @returns {boolean} Whether the second address was found
+ */
+function updateAnchorDistances(addressData, schoolData, inputs, coords) {
+    const anchor = findAddress(addressData, inputs.anchor, false);
+    const direct = howFar(coords, anchor);
+    for (const school of schoolData) {
+        school.anchorDistance = anchor ? howFar(school.ll, anchor) : null;
+        school.detour = (anchor && coords)
+            ? howFar(coords, school.ll) + school.anchorDistance - direct : null;
+    }
+    if (!anchor || !coords) {
+        inputs.menus.detour = '';
+    }
+    return anchor !== null;
+}
+
+/**
+ * Find the street address nearest some coordinates in San Francisco.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @returns {?string} A street address, e.g. "1 Zoo Rd", or null if none is nearby
+ */
+function findNearestAddress(addressData, coords) {
+    if (!isWithinBounds(coords)) {
+        return null;
+    }
+    // This takes a fraction of a second, so only do it once.
+    addressIndex ??= buildAddressIndex(addressData);
+    // Within a long block of an address, e.g. not in the bay
+    const nearest = findNearest(addressIndex, coords, 0.1);
+    if (!nearest) {
+        return null;
+    }
+    const [num, street] = splitStreetAddress(addressIndex.items[nearest[0]]);
+    // Single-digit numbered street names start with a zero, e.g. 01ST ST.
+    return capitalizeWords(`${num} ${street.replace(/^0/, '')}`, true);
+}
+
+/**
+ * Find the user's location, and fill in the nearest address.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ */
+function locateUser(addressData) {
+    const status = document.getElementById('locateStatus');
+    if (!navigator.geolocation) {
+        status.textContent = 'Your browser cannot share your location.';
+        return;
+    }
+    status.textContent = 'Finding your location…';
+    navigator.geolocation.getCurrentPosition(position => {
+        const {latitude, longitude} = position.coords;
+        const address = findNearestAddress(addressData, [latitude, longitude]);
+        if (!address) {
+            status.textContent = 'You seem to be outside San Francisco. Enter an address instead.';
+            return;
+        }
+        const addressInput = document.getElementById('address');
+        addressInput.value = address;
+        addressInput.dispatchEvent(new Event('input'));
+    }, error => {
+        status.textContent = `Cannot find your location: ${error.message}`;
+    }, {enableHighAccuracy: true, timeout: 10000});
+}
+
 /**
  * Suggest addresses matching what the user has typed so far.
  *
@@ -1200,25 +2307,26 @@ function findAddressSuggestions(addressData, num, nonstd, std) {
  *
  * @param {StreetAddresses} addressData - All SF street addresses
  * @param {string} address - A street address, from form input
+ * @param {boolean} [suggest=true] - Whether to suggest matching addresses
  * @returns {?LatLon} Degrees latitude and longitude
  */
-function findAddress(addressData, address) {
+function findAddress(addressData, address, suggest = true) {
     let [num, nonstd] = splitStreetAddress(address);
     if (!nonstd) {
-        suggestAddresses([]);
+        if (suggest) suggestAddresses([]);
         return null;
     }
     if (isNaN(num)) {
-        suggestAddresses([]);
+        if (suggest) suggestAddresses([]);
         return null;
     }
     nonstd = removeAccents(nonstd);
     nonstd = compressWhitespace(nonstd);
     nonstd = nonstd.toUpperCase();
-    const std = fixNumberedStreets(removePunctuation(replaceStreetSuffixes(nonstd, true)));
+    const std = standardizeStreet(nonstd);
     if (!(std in addressData)) {
         const addresses = findAddressSuggestions(addressData, num, nonstd, std);
-        if (addresses.length <= 10) {
+        if (suggest && addresses.length <= 10) {
             suggestAddresses(addresses);
         }
         return null;
@@ -1230,40 +2338,178 @@ function findAddress(addressData, address) {
 }
 
 /**
- * Find which columns ought to be shown, based on school data.
+ * Download a file generated in the browser.
  *
- * @param {Schools} schools - Data about some schools
- * @returns {Object.<string, boolean>} Which fields to show
- */
-function findShownColumns(schools) {
-    const shown = {
-        distance: false,
-        usnews: false,
-        greatschools: false,
-        teachers: false,
-        ratio: false,
-        reading: false,
-        math: false,
-        science: false,
-        graduated: false,
-        feedsInto: false,
+ * @param {string} filename - The file's name
+ * @param {string} type - The file's MIME type
+ * @param {string} content - The file's contents
+ */
+function downloadFile(filename, type, content) {
+    const blob = new Blob([content], {type: type});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the schools shown, in the given format.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object} inputs - Form input values
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ * @param {string} format - The file format: csv, json, or geojson
+ */
+function exportSchools(schoolData, inputs, coords, format) {
+    const schools = findSchools(schoolData, inputs);
+    const shown = findShownColumns(schools, inputs.columns);
+    shown.distance = shown.distance && coords !== null;
+    shown.detour = shown.detour && coords !== null;
+    const fields = getExportFields(shown);
+    const filename = `sfusd-schools.${format}`;
+    switch (format) {
+        case 'csv':
+            downloadFile(filename, 'text/csv', schoolsToCSV(schools, fields));
+            break;
+        case 'json':
+            downloadFile(filename, 'application/json', schoolsToJSON(schools, fields));
+            break;
+        case 'geojson':
+            downloadFile(filename, 'application/geo+json',
+                JSON.stringify(schoolsToGeoJSON(schools, fields), null, 2));
+            break;
+        default:
+            console.warn('Invalid export format:', format);
+            break;
+    }
+}
+
+/**
+ * Add event listeners to add, reorder, remove, and export ranked schools.
+ *
+ * @param {StreetAddresses} addressData - All SF street addresses
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object} inputs - Form input values
+ * @param {?LatLon} coords - Degrees latitude and longitude
+ */
+function addRankedListeners(addressData, schoolData, inputs, coords) {
+    // Compare keys rather than build a selector, since dropped text can be anything.
+    const findItem = (parent, key) => Array.from(parent.querySelectorAll('li'))
+        .find(li => li.dataset.key === key);
+
+    // Update the list, and focus on the school that moved.
+    const update = key => {
+        saveInputs(inputs);
+        renderPage(addressData, schoolData, inputs, coords);
+        const item = findItem(document.getElementById('rankedList'), key);
+        if (item) {
+            item.focus();
+        }
     };
-    for (const field in shown) {
-        for (const school of schools) {
-            if (Array.isArray(school[field])) {
-                if (school[field].length > 0) {
-                    shown[field] = true;
-                    break;
-                }
-                continue;
-            }
-            if (school[field] !== null) {
-                shown[field] = true;
-                break;
+
+    const rankButtons = document.querySelectorAll('button[name=rank]');
+    for (const button of rankButtons) {
+        button.addEventListener('click', event => {
+            const key = event.target.value;
+            if (!inputs.ranked.includes(key)) {
+                inputs.ranked.push(key);
             }
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // District and charter schools are listed separately, so move each school
+    // past its neighbor in the same list.
+    const findNeighbor = (key, offset) => {
+        const item = findItem(document.getElementById('rankedList'), key);
+        const keys = Array.from(item.parentElement.children, li => li.dataset.key);
+        const neighbor = keys[keys.indexOf(key) + offset];
+        return (neighbor === undefined) ? -1 : inputs.ranked.indexOf(neighbor);
+    };
+
+    const moves = {rankUp: -1, rankDown: 1};
+    for (const name in moves) {
+        const buttons = document.querySelectorAll(`button[name=${name}]`);
+        for (const button of buttons) {
+            button.addEventListener('click', event => {
+                const key = event.target.value;
+                moveRanked(inputs.ranked, key, findNeighbor(key, moves[name]));
+                update(key);
+            });
         }
     }
-    return shown;
+
+    const unrankButtons = document.querySelectorAll('button[name=unrank]');
+    for (const button of unrankButtons) {
+        button.addEventListener('click', event => {
+            const key = event.target.value;
+            inputs.ranked = inputs.ranked.filter(k => k !== key);
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    const items = document.querySelectorAll('#rankedList li');
+    for (const item of items) {
+        item.addEventListener('keydown', event => {
+            if (event.target !== item) {
+                return;
+            }
+            const key = item.dataset.key;
+            const offsets = {ArrowUp: -1, ArrowDown: 1};
+            if (!(event.key in offsets)) {
+                return;
+            }
+            event.preventDefault();
+            moveRanked(inputs.ranked, key, findNeighbor(key, offsets[event.key]));
+            update(key);
+        });
+        item.addEventListener('dragstart', event => {
+            event.dataTransfer.setData('text/plain', item.dataset.key);
+            event.dataTransfer.effectAllowed = 'move';
+        });
+        item.addEventListener('dragover', event => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        });
+        item.addEventListener('drop', event => {
+            event.preventDefault();
+            const key = event.dataTransfer.getData('text/plain');
+            if (!findItem(item.parentElement, key)) {
+                // Don't mix district and charter schools.
+                return;
+            }
+            const index = inputs.ranked.indexOf(item.dataset.key);
+            moveRanked(inputs.ranked, key, index);
+            update(key);
+        });
+    }
+
+    const print = document.getElementById('printRanked');
+    if (print) {
+        print.addEventListener('click', () => {
+            document.getElementById('rankedList').open = true;
+            document.body.classList.add('print-ranked');
+            window.addEventListener('afterprint', () => {
+                document.body.classList.remove('print-ranked');
+            }, {once: true});
+            window.print();
+        });
+    }
+
+    const download = document.getElementById('downloadRanked');
+    if (download) {
+        download.addEventListener('click', () => {
+            const schools = findSchoolsByKey(schoolData, inputs.ranked);
+            const text = formatRankedList(schools, getSchoolFullName);
+            downloadFile('sfusd-rankings.txt', 'text/plain', text);
+        });
+    }
 }
 
 /**
@@ -1295,38 +2541,360 @@ function addEventListeners(addressData, schoolData, inputs, coords) {
     });
     addressInput.addEventListener('input', event => {
         inputs.address = event.target.value;
-        storeItem('inputs', inputs);
+        saveInputs(inputs);
         coords = findAddress(addressData, inputs.address);
+        document.getElementById('myNeighborhood').innerHTML = renderMyNeighborhood(schoolData, coords);
         updateDistances(addressData, schoolData, inputs, coords);
     });
 
+    // Listen for the location button, to fill in the nearest address.
+    const locate = document.getElementById('locate');
+    locate.addEventListener('click', () => locateUser(addressData));
+
+    // Listen for the neighborhood button, to filter by nearby neighborhoods.
+    const nearby = document.getElementById('nearby');
+    if (nearby) {
+        nearby.addEventListener('click', () => {
+            inputs.menus.neighborhood = findNearbyNeighborhoods(schoolData, coords);
+            saveInputs(inputs, true);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for second address input.
+    const anchorInput = document.getElementById('anchor');
+    anchorInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            // Don't submit the form and reload the page.
+            event.preventDefault();
+        }
+    });
+    anchorInput.addEventListener('input', event => {
+        const found = findAddress(addressData, inputs.anchor, false) !== null;
+        inputs.anchor = event.target.value;
+        saveInputs(inputs);
+        findAddress(addressData, inputs.anchor);
+        // Keep suggestions until the address is found, or no longer found.
+        if (updateAnchorDistances(addressData, schoolData, inputs, coords) || found) {
+            renderPage(addressData, schoolData, inputs, coords);
+            focusInput('anchor');
+        }
+    });
+
+    // Listen for school name input.
+    const nameInput = document.getElementById('name');
+    nameInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            // Don't submit the form and reload the page.
+            event.preventDefault();
+        }
+    });
+    nameInput.addEventListener('input', event => {
+        inputs.menus.name = event.target.value;
+        saveInputs(inputs);
+        renderPage(addressData, schoolData, inputs, coords);
+        focusInput('name');
+    });
+
     // Listen for select menus, to filter schools.
-    const menus = document.querySelectorAll('select');
+    const menus = [...document.querySelectorAll('select')]
+        .filter(menu => menu.name in inputs.menus);
     for (const menu of menus) {
         menu.addEventListener('change', event => {
             const name = event.target.name;
-            const value = event.target.value;
-            inputs.menus[name] = value;
-            storeItem('inputs', inputs);
+            if (event.target.multiple) {
+                const values = Array.from(event.target.selectedOptions, o => o.value);
+                // Choosing the default option, e.g. "Any Language", clears the others.
+                const cleared = values.includes('') && inputs.menus[name].length > 0;
+                inputs.menus[name] = cleared ? [] : values.filter(v => v !== '');
+            }
+            else {
+                inputs.menus[name] = event.target.value;
+            }
+            if (name === 'route') {
+                measureDistances(addressData, schoolData, inputs, coords);
+            }
+            saveInputs(inputs, true);
             renderPage(addressData, schoolData, inputs, coords);
         });
     }
 
-    // Listen for the reset button, to clear inputs.
-    const reset = document.querySelector('[type=reset]');
-    reset.addEventListener('click', event => {
-        addressInput.value = '';
-        if (inputs.menus.sort === 'distance') {
-            inputs.menus.sort = 'name';
+    // Listen for column headers, to sort schools.
+    const sorts = document.querySelectorAll('button.sort');
+    for (const button of sorts) {
+        button.addEventListener('click', event => {
+            const field = event.currentTarget.value;
+            inputs.menus.sort = toggleSortKey(inputs.menus.sort, field, event.shiftKey);
+            saveInputs(inputs, true);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for number inputs, to filter schools by minimum or maximum values.
+    const thresholds = document.querySelectorAll('input[name=threshold]');
+    for (const threshold of thresholds) {
+        threshold.addEventListener('change', event => {
+            const value = parseFloat(event.target.value);
+            inputs.menus[event.target.dataset.menu] = isNaN(value) ? '' : value.toString();
+            saveInputs(inputs, true);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for time and number inputs, to filter schools by schedule.
+    const schedule = document.querySelectorAll('input[name=schedule]');
+    for (const input of schedule) {
+        input.addEventListener('change', event => {
+            inputs.menus[event.target.dataset.menu] = event.target.value;
+            saveInputs(inputs, true);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for checkboxes, to show or hide table columns.
+    const columns = document.querySelectorAll('input[name=column]');
+    for (const column of columns) {
+        column.addEventListener('change', event => {
+            inputs.columns[event.target.value] = event.target.checked;
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for number inputs, to estimate travel times.
+    const speeds = document.querySelectorAll('input[name=speed]');
+    for (const speed of speeds) {
+        speed.addEventListener('change', event => {
+            const field = event.target.dataset.field;
+            const value = parseFloat(event.target.value);
+            const defaults = getDefaultInputs().travel;
+            // Trips can't be shorter than straight lines.
+            const valid = (field === 'detour') ? (value >= 1) : (value > 0);
+            inputs.travel[field] = valid ? value : defaults[field];
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for number inputs, to score schools.
+    const weights = document.querySelectorAll('input[name=weight]');
+    for (const weight of weights) {
+        weight.addEventListener('change', event => {
+            const value = parseFloat(event.target.value);
+            inputs.weights[event.target.dataset.field] = isNaN(value) ? 0 : value;
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for buttons, to download the schools shown.
+    const exports = document.querySelectorAll('button[name=export]');
+    for (const button of exports) {
+        button.addEventListener('click', event => {
+            exportSchools(schoolData, inputs, coords, event.target.value);
+        });
+    }
+
+    // Listen for checkboxes and buttons, to compare schools.
+    const checkboxes = document.querySelectorAll('input[name=compare]');
+    for (const checkbox of checkboxes) {
+        checkbox.addEventListener('change', event => {
+            const key = event.target.value;
+            inputs.compare = inputs.compare.filter(k => k !== key);
+            if (event.target.checked && canCompare(inputs.compare, key)) {
+                inputs.compare.push(key);
+            }
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+    const uncompares = document.querySelectorAll('button[name=uncompare]');
+    for (const button of uncompares) {
+        button.addEventListener('click', event => {
+            const key = event.target.value;
+            inputs.compare = inputs.compare.filter(k => k !== key);
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for map markers, to highlight schools in the table.
+    const markers = document.querySelectorAll('#mapMarkers .school');
+    for (const marker of markers) {
+        const key = marker.dataset.key;
+        marker.addEventListener('mouseenter', () => highlightSchool(key, true));
+        marker.addEventListener('mouseleave', () => highlightSchool(key, false));
+        marker.addEventListener('click', () => {
+            const old = document.querySelectorAll('tr.highlight');
+            for (const row of old) {
+                highlightSchool(row.dataset.key, false);
+            }
+            highlightSchool(key, true, true);
+        });
+    }
+
+    // Listen for menus and buttons, to plan mornings for more than one child.
+    const childMenus = document.querySelectorAll('#planner select');
+    for (const menu of childMenus) {
+        menu.addEventListener('change', event => {
+            const index = parseInt(event.target.name.replace('child', ''));
+            inputs.children[index] = event.target.value;
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+    const removeChildButtons = document.querySelectorAll('button[name=removeChild]');
+    for (const button of removeChildButtons) {
+        button.addEventListener('click', event => {
+            inputs.children.splice(parseInt(event.target.value), 1);
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+    const planButton = document.getElementById('planMornings');
+    if (planButton) {
+        planButton.addEventListener('click', () => {
+            findPlans(schoolData, inputs, coords);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+    const addChild = document.getElementById('addChild');
+    addChild.addEventListener('click', () => {
+        if (inputs.children.length < getMaxChildren()) {
+            inputs.children.push('');
         }
-        addressInput.dispatchEvent(new Event('input'));
-        for (const menu of menus) {
-            menu.value = '';
-            menu.dispatchEvent(new Event('change'));
+        saveInputs(inputs);
+        renderPage(addressData, schoolData, inputs, coords);
+    });
+
+    // Listen for buttons, to remove filters when no schools match them all.
+    const relaxButtons = document.querySelectorAll('button[name=relax]');
+    for (const button of relaxButtons) {
+        button.addEventListener('click', event => {
+            const defaults = getDefaultInputs().menus;
+            const names = event.target.value ? [event.target.value]
+                : Object.keys(copyFilters(inputs.menus));
+            for (const name of names) {
+                inputs.menus[name] = defaults[name];
+            }
+            saveInputs(inputs, true);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for the menu and buttons, to switch between and manage saved searches.
+    const presetMenu = document.getElementById('preset');
+    presetMenu.addEventListener('change', event => {
+        const presets = getStoredItem('presets') || [];
+        const preset = presets.find(p => p.name === event.target.value);
+        if (preset) {
+            Object.assign(inputs, loadPreset(preset, getDefaultInputs()));
         }
+        inputs.preset = preset ? preset.name : '';
+        saveInputs(inputs, true);
+        coords = findAddress(addressData, inputs.address);
+        updateDistances(addressData, schoolData, inputs, coords)
+            || renderPage(addressData, schoolData, inputs, coords);
+    });
+    const presetName = document.getElementById('presetName');
+    presetName.addEventListener('input', () => presetName.setCustomValidity(''));
+    const presetButtons = document.querySelectorAll('button[name=presetAction]');
+    for (const button of presetButtons) {
+        button.addEventListener('click', event => {
+            let presets = getStoredItem('presets') || [];
+            const name = compressWhitespace(presetName.value);
+            if (event.target.value === 'delete') {
+                presets = deletePreset(presets, inputs.preset);
+                inputs.preset = '';
+            }
+            else if (!name) {
+                presetName.setCustomValidity('Enter a name for this search.');
+                presetName.reportValidity();
+                return;
+            }
+            else if (event.target.value === 'rename') {
+                const renamed = renamePreset(presets, inputs.preset, name);
+                if (!renamed) {
+                    presetName.setCustomValidity('Another saved search has this name.');
+                    presetName.reportValidity();
+                    return;
+                }
+                presets = renamed;
+                inputs.preset = name;
+            }
+            else {
+                presets = savePreset(presets, makePreset(name, inputs));
+                inputs.preset = name;
+            }
+            storeItem('presets', presets);
+            saveInputs(inputs);
+            renderPage(addressData, schoolData, inputs, coords);
+        });
+    }
+
+    // Listen for buttons and keys, to manage the ranked list.
+    addRankedListeners(addressData, schoolData, inputs, coords);
+
+    // Listen for the reset button, to clear inputs.
+    const reset = document.querySelector('[type=reset]');
+    reset.addEventListener('click', () => {
+        // Apply the defaults all at once, so that going back undoes the reset.
+        const defaults = getDefaultInputs();
+        inputs.preset = '';
+        inputs.address = defaults.address;
+        inputs.anchor = defaults.anchor;
+        inputs.menus = defaults.menus;
+        coords = findAddress(addressData, inputs.address);
+        measureDistances(addressData, schoolData, inputs, coords);
+        saveInputs(inputs, true);
+        renderPage(addressData, schoolData, inputs, coords);
     });
 }
 
+/**
+ * Determine whether a details element is expanded.
+ *
+ * @param {string} id - The details element's ID attribute
+ * @returns {boolean} Whether the element exists and is expanded
+ */
+function isOpen(id) {
+    const details = document.getElementById(id);
+    return details ? details.open : false;
+}
+
+/**
+ * Estimate travel times to all schools, by the chosen travel mode.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object} inputs - Form input values
+ */
+function updateTravelTimes(schoolData, inputs) {
+    // Distances along streets already include the detour.
+    const speeds = (inputs.menus.route === 'streets')
+        ? {...inputs.travel, detour: 1} : inputs.travel;
+    for (const school of schoolData) {
+        const minutes = findTravelMinutes(school.distance, inputs.menus.mode, speeds);
+        school.minutes = isFinite(minutes) ? Math.round(minutes) : null;
+    }
+}
+
+/**
+ * Find the schools to show, scored and sorted.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @param {Object} inputs - Form input values
+ * @returns {Schools} Data about some schools
+ */
+function findSchools(schoolData, inputs) {
+    updateTravelTimes(schoolData, inputs);
+    const schools = filterSchools(schoolData, inputs.menus);
+    for (const school of schools) {
+        school.slack = findSlack(school.start, school.minutes ?? Infinity, inputs.menus);
+    }
+    scoreSchools(schools, inputs.weights);
+    return sortSchools(schools, inputs.menus.sort);
+}
+
 /**
  * Render a web page, showing a form and school data as a table.
  *
@@ -1336,20 +2904,48 @@ function addEventListeners(addressData, schoolData, inputs, coords) {
  * @param {?LatLon} coords - Degrees latitude and longitude
  */
 function renderPage(addressData, schoolData, inputs, coords) {
-    const schools = filterSchools(schoolData, inputs.menus);
-    sortSchools(schools, inputs.menus.sort);
-    const shown = findShownColumns(schools);
-    document.getElementById('input').innerHTML = renderForm(shown, schoolData, inputs);
-    const distanceMenu = document.getElementById('within');
-    if (!coords) {
-        distanceMenu.setAttribute('title', 'Enter your address to filter by distance.');
-    }
-    else {
-        distanceMenu.removeAttribute('title');
+    const schools = findSchools(schoolData, inputs);
+    const shown = findShownColumns(schools, inputs.columns);
+    const open = {
+        columnPicker: isOpen('columnPicker'),
+        presets: isOpen('presets'),
+        schedule: isOpen('schedule'),
+        thresholds: isOpen('thresholds'),
+        travelSpeeds: isOpen('travelSpeeds'),
+        weights: isOpen('weights'),
+    };
+    const presets = getStoredItem('presets') || [];
+    document.getElementById('input').innerHTML = renderForm(shown, schoolData,
+        inputs, presets, open);
+    document.getElementById('myNeighborhood').innerHTML = renderMyNeighborhood(schoolData, coords);
+    for (const id of ['within', 'minutes']) {
+        const distanceMenu = document.getElementById(id);
+        if (!coords) {
+            distanceMenu.setAttribute('title', 'Enter your address to filter by distance.');
+        }
+        else {
+            distanceMenu.removeAttribute('title');
+        }
     }
-    document.getElementById('schools').innerHTML = renderTable(shown, schools, inputs.address);
+    document.getElementById('compare').innerHTML = renderComparison(schoolData,
+        inputs.compare, inputs.address, isOpen('comparison'));
+    document.getElementById('ranked').innerHTML = renderRankedList(schoolData,
+        inputs.ranked, isOpen('rankedList'));
+    document.getElementById('siblings').innerHTML = renderPlanner(schoolData,
+        inputs, coords, isOpen('planner'));
+    document.getElementById('feeders').innerHTML = renderPathways(schoolData,
+        inputs.menus.pathway, isOpen('pathways'));
+    document.getElementById('mapMarkers').innerHTML = renderMapMarkers(schools, coords);
+    const ranks = numberRanked(findSchoolsByKey(schoolData, inputs.ranked), getSchoolKey);
+    let table = renderTable(shown, schools, inputs, ranks);
+    if (schools.length < 1) {
+        table += renderRelaxations(schoolData, inputs.menus);
+    }
+    document.getElementById('schools').innerHTML = table;
     addEventListeners(addressData, schoolData, inputs, coords);
     document.getElementById('address').value = inputs.address;
+    document.getElementById('anchor').value = inputs.anchor;
+    document.getElementById('name').value = inputs.menus.name;
 }
 
 /**
@@ -1389,22 +2985,108 @@ function storeItem(name, item) {
     }
 }
 
-// Retrieve saved form input, or populate default values.
-const inputs = getStoredItem('inputs') || {
-    address: '',
-    menus: {
-        sort: 'name',
-        type: '',
-        grade: '',
-        neighborhood: '',
-        start: '',
-        language: '',
-        target: '',
-        within: '',
-    },
-};
+/**
+ * Save form inputs in localStorage, and in the URL query string.
+ *
+ * @param {Object} inputs - Form input values
+ * @param {boolean} [push=false] - Whether to add a browser history entry
+ * @returns {boolean} Whether the inputs were stored without an exception
+ */
+function saveInputs(inputs, push = false) {
+    const query = encodeInputs(inputs, getDefaultInputs());
+    if (query !== location.search) {
+        const url = location.pathname + query + location.hash;
+        if (push) {
+            history.pushState(null, '', url);
+        }
+        else {
+            history.replaceState(null, '', url);
+        }
+    }
+    return storeItem('inputs', inputs);
+}
+
+/**
+ * Get the option values of menus whose options are known ahead of time.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @returns {Object.<string, Array.<string>>} Option values, by menu name
+ */
+function getMenuValues(schoolData) {
+    const keys = options => Array.from(options.keys(), key => key.toString());
+    return {
+        type: keys(getSchoolTypes(schoolData)),
+        grade: keys(getSchoolGrades(schoolData)),
+        neighborhood: keys(getNeighborhoods(schoolData)),
+        start: keys(getStartTimes(schoolData)),
+        language: keys(getLanguages(schoolData)),
+        target: keys(getTargets(schoolData)),
+        charter: keys(getCharterOptions(schoolData)),
+        route: ['streets'],
+        mode: keys(getTravelModes()),
+        nulls: ['hide'],
+    };
+}
+
+/**
+ * Retrieve form inputs from the URL query string, or from localStorage.
+ *
+ * The address and menus in the URL take priority over those saved. Menu values
+ * in the URL that aren't options are dropped.
+ *
+ * @param {Schools} schoolData - Data about all schools
+ * @returns {Object} Form input values
+ */
+function loadInputs(schoolData) {
+    const defaults = getDefaultInputs();
+    const stored = getStoredItem('inputs') || {};
+    const inputs = {...defaults, ...stored};
+    inputs.menus = {...defaults.menus, ...stored.menus};
+    // Older versions saved one value for menus that now allow several.
+    for (const menu in defaults.menus) {
+        if (Array.isArray(defaults.menus[menu])) {
+            inputs.menus[menu] = toArray(inputs.menus[menu]);
+        }
+    }
+    inputs.columns = {...defaults.columns, ...stored.columns};
+    inputs.weights = {...defaults.weights, ...stored.weights};
+    inputs.travel = {...defaults.travel, ...stored.travel};
+    const shared = decodeInputs(location.search, defaults, getMenuValues(schoolData));
+    return shared ? {...inputs, ...shared} : inputs;
+}
+
+// Retrieve shared or saved form input, or populate default values.
+const inputs = loadInputs(schoolData);
+let coords = findAddress(addressData, inputs.address);
+let streetGraph = null;
+let addressIndex = null;
+let plannerResults = {key: null, plans: []};
+
+// Restore form inputs when the user navigates back or forward.
+window.addEventListener('popstate', () => {
+    const defaults = getDefaultInputs();
+    const shared = decodeInputs(location.search, defaults, getMenuValues(schoolData));
+    Object.assign(inputs, shared || {
+        address: defaults.address,
+        anchor: defaults.anchor,
+        menus: defaults.menus,
+    });
+    storeItem('inputs', inputs);
+    coords = findAddress(addressData, inputs.address);
+    updateDistances(addressData, schoolData, inputs, coords)
+        || renderPage(addressData, schoolData, inputs, coords);
+});
+
+// Draw the outline of San Francisco when the map is first expanded.
+document.getElementById('map').innerHTML = renderMap();
+document.getElementById('mapView').addEventListener('toggle', event => {
+    const land = document.getElementById('mapLand');
+    if (event.target.open && land.innerHTML === '') {
+        land.innerHTML = renderMapLand(addressData);
+    }
+});
 
 // Calculate commute distances, and render the page.
-const coords = findAddress(addressData, inputs.address);
+saveInputs(inputs);
 updateDistances(addressData, schoolData, inputs, coords)
     || renderPage(addressData, schoolData, inputs, coords);
@@ -0,0 +1,170 @@
+/**
+ * Approximate neighborhood boundaries in San Francisco, California
+ *
+ * These polygons are drawn by hand along major streets, so that they match
+ * the neighborhood names used in school-data.js. They are not official
+ * boundaries, and the coastline is rough. For precise boundaries, replace them
+ * with DataSF's Analysis Neighborhoods. Run scripts/check-neighborhoods.js
+ * after editing them.
+ *
+ * Neighborhoods that share a border share the same vertices, so that every
+ * address is in exactly one neighborhood.
+ *
+ * @module public/neighborhood-data
+ */
+
+/**
+ * Decimal degrees latitude and longitude
+ *
+ * @typedef {Array.<number>} LatLon
+ */
+
+/**
+ * The vertices of a polygon, in order, without repeating the first vertex
+ *
+ * @typedef {Array.<LatLon>} Polygon
+ */
+
+// The coast, clockwise from Lands End
+const landsEnd = [37.7880, -122.5080];
+const bakerBeach = [37.7930, -122.4845];
+const goldenGate = [37.8110, -122.4775];
+const crissyField = [37.8090, -122.4470];
+const marinaGreen = [37.8100, -122.4330];
+const aquaticPark = [37.8100, -122.4260];
+const fishermansWharf = [37.8110, -122.4150];
+const pier39 = [37.8100, -122.4050];
+const northEmbarcadero = [37.8060, -122.4010];
+const broadwayEmbarcadero = [37.7990, -122.3970];
+const ferryBuilding = [37.7960, -122.3910];
+const bayBridge = [37.7880, -122.3850];
+const chinaBasin = [37.7790, -122.3850];
+const mariposaBay = [37.7635, -122.3835];
+const pier70 = [37.7600, -122.3800];
+const cesarChavezBay = [37.7480, -122.3800];
+const islaisCreek = [37.7440, -122.3780];
+const huntersPoint = [37.7300, -122.3570];
+const candlestick = [37.7120, -122.3770];
+
+// The county line, east to west
+const bayshoreCountyLine = [37.7080, -122.4000];
+const mclarenCountyLine = [37.7080, -122.4270];
+const missionCountyLine = [37.7080, -122.4370];
+const oceanViewCountyLine = [37.7080, -122.4560];
+const juniperoSerraCountyLine = [37.7080, -122.4690];
+const fortFunston = [37.7080, -122.5030];
+
+// The coast, south to north
+const sloatGreatHighway = [37.7357, -122.5085];
+const lincolnGreatHighway = [37.7640, -122.5115];
+const fultonGreatHighway = [37.7718, -122.5125];
+const cliffHouse = [37.7790, -122.5160];
+
+// Richmond and Presidio
+const lake25th = [37.7860, -122.4848];
+const lake21st = [37.7862, -122.4800];
+const lakeArguello = [37.7880, -122.4570];
+const fulton21st = [37.7730, -122.4800];
+const fultonArguello = [37.7748, -122.4570];
+const fultonStanyan = [37.7751, -122.4545];
+const fultonMasonic = [37.7757, -122.4470];
+const fultonDivisadero = [37.7770, -122.4385];
+const pacificPresidio = [37.7916, -122.4474];
+const broadwayLyon = [37.7934, -122.4462];
+const bushPresidio = [37.7890, -122.4470];
+const bushVanNess = [37.7890, -122.4220];
+const broadwayVanNess = [37.7956, -122.4229];
+
+// Downtown
+const sutterVanNess = [37.7875, -122.4214];
+const sutterPowell = [37.7875, -122.4095];
+const sutterKearny = [37.7875, -122.4045];
+const broadwayPowell = [37.7973, -122.4100];
+const broadwayKearny = [37.7975, -122.4045];
+const vallejoMason = [37.8000, -122.4140];
+const marketVanNess = [37.7757, -122.4189];
+const market6th = [37.7815, -122.4105];
+const marketPowell = [37.7851, -122.4075];
+const market3rd = [37.7872, -122.4035];
+
+// Central
+const haightDivisadero = [37.7715, -122.4368];
+const duboceNoe = [37.7690, -122.4320];
+const marketOctavia = [37.7715, -122.4240];
+const divisionPotrero = [37.7691, -122.4050];
+const townsend7th = [37.7700, -122.4010];
+const mariposa7th = [37.7635, -122.3940];
+const cesarChavezPotrero = [37.7490, -122.4045];
+const cesarChavezMission = [37.7481, -122.4182];
+const twentyFirstNoe = [37.7565, -122.4320];
+const twentyFirstDolores = [37.7570, -122.4245];
+const thirtiethMission = [37.7420, -122.4235];
+const parnassusStanyan = [37.7625, -122.4530];
+const seventeenthDouglass = [37.7620, -122.4400];
+const twentyFourthDouglass = [37.7540, -122.4405];
+const diamondHeights = [37.7400, -122.4400];
+const glenCanyon = [37.7405, -122.4460];
+const portolaOShaughnessy = [37.7444, -122.4515];
+const clarendon = [37.7520, -122.4510];
+const lagunaHondaDewey = [37.7490, -122.4600];
+
+// Sunset
+const lincoln19th = [37.7653, -122.4770];
+const lincolnStanyan = [37.7660, -122.4545];
+const quintara19th = [37.7484, -122.4757];
+const sloat19th = [37.7342, -122.4754];
+const oceanJuniperoSerra = [37.7317, -122.4725];
+const oceanPhelan = [37.7235, -122.4540];
+const montereyFoerster = [37.7315, -122.4500];
+
+// Southeast
+const alemany280 = [37.7300, -122.4420];
+const alemanyMission = [37.7306, -122.4299];
+const alemanySilver = [37.7345, -122.4150];
+const alemanyBayshore = [37.7365, -122.4050];
+const mansellBayshore = [37.7200, -122.4025];
+const mansellMcLaren = [37.7230, -122.4160];
+const mclarenPark = [37.7210, -122.4270];
+
+/**
+ * Neighborhood polygons, by name
+ *
+ * @type {Object.<string, Polygon>}
+ */
+export default {
+    'Bayview': [cesarChavezPotrero, cesarChavezBay, islaisCreek, huntersPoint, candlestick, bayshoreCountyLine, mansellBayshore, alemanyBayshore],
+    'Bernal Heights': [cesarChavezMission, cesarChavezPotrero, alemanyBayshore, alemanySilver, alemanyMission, thirtiethMission],
+    'Castro': [haightDivisadero, duboceNoe, twentyFirstNoe, twentyFourthDouglass, seventeenthDouglass],
+    'Chinatown': [sutterPowell, broadwayPowell, broadwayKearny, sutterKearny],
+    'Civic Center': [sutterVanNess, sutterPowell, marketPowell, market6th, marketVanNess],
+    'Excelsior': [alemanyMission, alemanySilver, mansellMcLaren, mclarenPark, mclarenCountyLine, missionCountyLine, alemany280],
+    'Financial District': [marketPowell, sutterPowell, sutterKearny, broadwayKearny, broadwayEmbarcadero, ferryBuilding, market3rd],
+    'Glen Park': [diamondHeights, thirtiethMission, alemanyMission, alemany280, glenCanyon],
+    'Golden Gate Park': [fultonGreatHighway, fulton21st, fultonArguello, fultonStanyan, lincolnStanyan, lincoln19th, lincolnGreatHighway],
+    'Haight Ashbury': [fultonStanyan, fultonMasonic, fultonDivisadero, haightDivisadero, seventeenthDouglass, parnassusStanyan, lincolnStanyan],
+    'Inner Richmond': [lake21st, lakeArguello, fultonArguello, fulton21st],
+    'Inner Sunset': [lincoln19th, lincolnStanyan, parnassusStanyan, clarendon, lagunaHondaDewey, quintara19th],
+    'Lakeshore': [sloatGreatHighway, sloat19th, oceanJuniperoSerra, juniperoSerraCountyLine, fortFunston],
+    'Marina': [crissyField, marinaGreen, aquaticPark, broadwayVanNess, broadwayLyon],
+    'Mission': [duboceNoe, marketOctavia, divisionPotrero, cesarChavezPotrero, cesarChavezMission, thirtiethMission, twentyFirstDolores, twentyFirstNoe],
+    'Mission Bay': [townsend7th, chinaBasin, mariposaBay, mariposa7th],
+    'Nob Hill': [broadwayVanNess, broadwayPowell, sutterPowell, sutterVanNess, bushVanNess],
+    'Noe Valley': [twentyFirstNoe, twentyFirstDolores, thirtiethMission, diamondHeights, twentyFourthDouglass],
+    'North Beach': [fishermansWharf, pier39, northEmbarcadero, broadwayEmbarcadero, broadwayKearny, broadwayPowell, vallejoMason],
+    'Ocean View': [oceanJuniperoSerra, oceanPhelan, oceanViewCountyLine, juniperoSerraCountyLine],
+    'Outer Mission': [oceanPhelan, montereyFoerster, alemany280, missionCountyLine, oceanViewCountyLine],
+    'Outer Richmond': [landsEnd, bakerBeach, lake25th, lake21st, fulton21st, fultonGreatHighway, cliffHouse],
+    'Outer Sunset': [lincolnGreatHighway, lincoln19th, quintara19th, sloat19th, sloatGreatHighway],
+    'Pacific Heights': [broadwayLyon, broadwayVanNess, bushVanNess, bushPresidio, pacificPresidio],
+    'Portola': [alemanyBayshore, mansellBayshore, mansellMcLaren, alemanySilver],
+    'Potrero Hill': [divisionPotrero, townsend7th, mariposa7th, mariposaBay, pier70, cesarChavezBay, cesarChavezPotrero],
+    'Presidio': [bakerBeach, goldenGate, crissyField, broadwayLyon, pacificPresidio, lakeArguello, lake21st, lake25th],
+    'Presidio Heights': [lakeArguello, pacificPresidio, bushPresidio, fultonMasonic, fultonStanyan, fultonArguello],
+    'Russian Hill': [aquaticPark, fishermansWharf, vallejoMason, broadwayPowell, broadwayVanNess],
+    'SoMa': [marketVanNess, market6th, marketPowell, market3rd, ferryBuilding, bayBridge, chinaBasin, townsend7th, divisionPotrero, marketOctavia],
+    'Treasure Island': [[37.8330, -122.3800], [37.8330, -122.3590], [37.8080, -122.3590], [37.8080, -122.3800]],
+    'Twin Peaks': [parnassusStanyan, seventeenthDouglass, twentyFourthDouglass, diamondHeights, glenCanyon, portolaOShaughnessy, clarendon],
+    'Visitacion Valley': [mansellBayshore, bayshoreCountyLine, mclarenCountyLine, mclarenPark, mansellMcLaren],
+    'West of Twin Peaks': [quintara19th, lagunaHondaDewey, clarendon, portolaOShaughnessy, glenCanyon, alemany280, montereyFoerster, oceanPhelan, oceanJuniperoSerra, sloat19th],
+    'Western Addition': [bushPresidio, bushVanNess, sutterVanNess, marketVanNess, marketOctavia, duboceNoe, haightDivisadero, fultonDivisadero, fultonMasonic],
+};
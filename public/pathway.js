@@ -0,0 +1,97 @@
+/**
+ * Feeder pathway functions, e.g. from elementary to middle school
+ * @module public/pathway
+ */
+
+/**
+ * A school, and the schools it leads to or from
+ *
+ * @typedef {Object} PathwayNode
+ * @property {School} school - Data about a school
+ * @property {Array.<PathwayNode>} children - Schools it feeds into, or is fed by
+ */
+
+/**
+ * Find the schools a school feeds into.
+ *
+ * Feeder targets are listed by name, and some schools share a name across
+ * campuses, e.g. Rooftop. Targets are the schools with that name that go up to
+ * a higher grade.
+ *
+ * @param {Schools} schools - Data about all schools
+ * @param {School} school - Data about a school
+ * @returns {Schools} Data about the schools it feeds into
+ */
+export function findTargets(schools, school) {
+    const targets = [];
+    for (const name of school.feedsInto) {
+        for (const target of schools) {
+            if (target !== school && target.name === name
+                && (target.max ?? 0) > (school.max ?? 0)) {
+                targets.push(target);
+            }
+        }
+    }
+    return targets;
+}
+
+/**
+ * Find the schools that feed into a school.
+ *
+ * @param {Schools} schools - Data about all schools
+ * @param {School} target - Data about a school
+ * @returns {Schools} Data about the schools that feed into it
+ */
+export function findFeeders(schools, target) {
+    return schools.filter(school => findTargets(schools, school).includes(target));
+}
+
+/**
+ * Build a tree of the schools a school leads to, following feeder targets.
+ *
+ * @param {Schools} schools - Data about all schools
+ * @param {School} school - Data about a school
+ * @param {Function} [next=findTargets] - Finds the next schools, e.g. findFeeders
+ * @param {Set.<School>} [seen=new Set()] - Schools already in the tree
+ * @returns {PathwayNode} The school, and the schools it leads to
+ */
+export function buildPathway(schools, school, next = findTargets, seen = new Set()) {
+    seen.add(school);
+    const children = [];
+    for (const child of next(schools, school)) {
+        // Guard against cycles in the data, and list each school once.
+        if (!seen.has(child)) {
+            children.push(buildPathway(schools, child, next, seen));
+        }
+    }
+    return {school, children};
+}
+
+/**
+ * Build a tree of the schools that eventually feed into a school.
+ *
+ * @param {Schools} schools - Data about all schools
+ * @param {School} target - Data about a school, e.g. a high school
+ * @returns {PathwayNode} The school, and the schools that lead to it
+ */
+export function buildFeederTree(schools, target) {
+    return buildPathway(schools, target, findFeeders);
+}
+
+/**
+ * Find the schools that are part of any feeder pathway.
+ *
+ * @param {Schools} schools - Data about all schools
+ * @returns {Schools} Data about schools that feed into, or are fed by, others
+ */
+export function findPathwaySchools(schools) {
+    const found = new Set();
+    for (const school of schools) {
+        const targets = findTargets(schools, school);
+        if (targets.length > 0) {
+            found.add(school);
+            targets.forEach(target => found.add(target));
+        }
+    }
+    return schools.filter(school => found.has(school));
+}
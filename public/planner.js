@@ -0,0 +1,123 @@
+/**
+ * Plan mornings for families with more than one child.
+ * @module public/planner
+ */
+
+import { howFar } from './geo.js';
+import { estimateMinutes, parseTime } from './travel.js';
+
+/**
+ * A choice of one school per child, and the morning it makes
+ *
+ * @typedef {Object} Plan
+ * @property {Schools} schools - One school per child, in the order given
+ * @property {Schools} route - The schools, in order of start time
+ * @property {number} miles - Distance from home, between all the schools
+ * @property {Array.<number>} gaps - Minutes between consecutive start times
+ * @property {number} minutes - Minutes from leaving home to the last drop-off
+ * @property {boolean} feasible - Whether there's time to get between schools
+ */
+
+/**
+ * Get the maximum number of children to plan for.
+ *
+ * The number of plans grows exponentially with the number of children.
+ *
+ * @returns {number} How many children may be planned for at once
+ */
+export function getMaxChildren() {
+    return 3;
+}
+
+/**
+ * Plan a morning, dropping each child off at school in order of start time.
+ *
+ * Each child is dropped off at their school's start time. A plan is feasible
+ * if there's time to get from each school to the next before it starts.
+ *
+ * @param {?LatLon} home - Degrees latitude and longitude, or null if unknown
+ * @param {Schools} schools - One school per child
+ * @param {Function} [minutesFor=estimateMinutes] - Converts miles to minutes
+ * @returns {Plan} The morning, with distances and times
+ */
+export function planMorning(home, schools, minutesFor = estimateMinutes) {
+    const route = [...new Set(schools)];
+    route.sort((a, b) => parseTime(a.start) - parseTime(b.start));
+    let miles = 0;
+    let minutes = 0;
+    if (home && route.length > 0) {
+        miles = howFar(home, route[0].ll);
+        minutes = minutesFor(miles);
+    }
+    const gaps = [];
+    let feasible = true;
+    for (let i = 1; i < route.length; i++) {
+        const leg = howFar(route[i - 1].ll, route[i].ll);
+        const gap = parseTime(route[i].start) - parseTime(route[i - 1].start);
+        miles += leg;
+        minutes += gap;
+        gaps.push(gap);
+        if (gap < minutesFor(leg)) {
+            feasible = false;
+        }
+    }
+    return {schools, route, miles, gaps, minutes, feasible};
+}
+
+/**
+ * Compare plans, putting feasible, shorter, then closer mornings first.
+ *
+ * @param {Plan} a - A morning plan
+ * @param {Plan} b - A morning plan
+ * @returns {number} Negative if a is better, positive if b is better
+ */
+export function comparePlans(a, b) {
+    if (a.feasible !== b.feasible) {
+        return a.feasible ? -1 : 1;
+    }
+    if (a.minutes !== b.minutes) {
+        return a.minutes - b.minutes;
+    }
+    return a.miles - b.miles;
+}
+
+/**
+ * Find the best combinations of schools, one school per child.
+ *
+ * @param {?LatLon} home - Degrees latitude and longitude, or null if unknown
+ * @param {Array.<Schools>} candidates - Schools each child could attend
+ * @param {number} [limit=5] - The maximum number of plans to return
+ * @param {Function} [minutesFor=estimateMinutes] - Converts miles to minutes
+ * @returns {Array.<Plan>} The best plans, best first
+ */
+export function planMornings(home, candidates, limit = 5, minutesFor = estimateMinutes) {
+    const best = [];
+    if (candidates.length < 1) {
+        return best;
+    }
+    const chosen = [];
+    const choose = depth => {
+        if (depth === candidates.length) {
+            const plan = planMorning(home, [...chosen], minutesFor);
+            // Keep only the best plans, to save memory with many combinations.
+            const index = best.findIndex(other => comparePlans(plan, other) < 0);
+            if (index >= 0) {
+                best.splice(index, 0, plan);
+            }
+            else {
+                best.push(plan);
+            }
+            if (best.length > limit) {
+                best.pop();
+            }
+            return;
+        }
+        for (const school of candidates[depth]) {
+            chosen.push(school);
+            choose(depth + 1);
+            chosen.pop();
+        }
+    };
+    choose(0);
+    return best;
+}
@@ -0,0 +1,94 @@
+/**
+ * Saved search functions
+ * @module public/preset
+ */
+
+/**
+ * A search, saved by name
+ *
+ * @typedef {Object} Preset
+ * @property {string} name - The search's name, e.g. K Near Home
+ * @property {string} address - The user's address
+ * @property {string} anchor - A second address, e.g. work
+ * @property {Object.<string, (string|Array.<string>)>} menus - Select menu input values, including sort
+ * @property {Object.<string, boolean>} columns - Which optional columns to show
+ */
+
+/**
+ * Make a preset from form inputs.
+ *
+ * @param {string} name - The preset's name
+ * @param {Object} inputs - Form input values
+ * @returns {Preset} A copy of the inputs to save
+ */
+export function makePreset(name, inputs) {
+    return {
+        name,
+        address: inputs.address ?? '',
+        anchor: inputs.anchor ?? '',
+        menus: structuredClone(inputs.menus ?? {}),
+        columns: structuredClone(inputs.columns ?? {}),
+    };
+}
+
+/**
+ * Get form inputs from a preset.
+ *
+ * Menus and columns added since the preset was saved get default values.
+ *
+ * @param {Preset} preset - A saved search
+ * @param {Object} defaults - Default form input values
+ * @returns {Object} The address, menu, and column input values
+ */
+export function loadPreset(preset, defaults) {
+    return {
+        address: preset.address ?? defaults.address,
+        anchor: preset.anchor ?? defaults.anchor,
+        menus: {...structuredClone(defaults.menus), ...structuredClone(preset.menus)},
+        columns: {...defaults.columns, ...preset.columns},
+    };
+}
+
+/**
+ * Add a preset, replacing any preset with the same name.
+ *
+ * @param {Array.<Preset>} presets - Saved searches
+ * @param {Preset} preset - A search to save
+ * @returns {Array.<Preset>} Saved searches, including the new one
+ */
+export function savePreset(presets, preset) {
+    const index = presets.findIndex(p => p.name === preset.name);
+    if (index < 0) {
+        return [...presets, preset];
+    }
+    return presets.map((p, i) => (i === index ? preset : p));
+}
+
+/**
+ * Rename a preset.
+ *
+ * @param {Array.<Preset>} presets - Saved searches
+ * @param {string} name - The preset's current name
+ * @param {string} newName - The preset's new name
+ * @returns {?Array.<Preset>} Saved searches, or null if the new name is empty or taken
+ */
+export function renamePreset(presets, name, newName) {
+    if (!newName || !presets.some(p => p.name === name)) {
+        return null;
+    }
+    if (newName !== name && presets.some(p => p.name === newName)) {
+        return null;
+    }
+    return presets.map(p => (p.name === name ? {...p, name: newName} : p));
+}
+
+/**
+ * Delete a preset.
+ *
+ * @param {Array.<Preset>} presets - Saved searches
+ * @param {string} name - The preset's name
+ * @returns {Array.<Preset>} Saved searches, without the deleted one
+ */
+export function deletePreset(presets, name) {
+    return presets.filter(p => p.name !== name);
+}
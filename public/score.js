@@ -0,0 +1,103 @@
+/**
+ * Score schools, based on criteria weighted by the user.
+ * @module public/score
+ */
+
+/**
+ * Get the fields schools may be scored by, and whether higher values are better.
+ *
+ * @returns {Object.<string, boolean>} Whether higher values are better, keyed by field
+ */
+export function getScoreFields() {
+    return {
+        distance: false,
+        greatschools: true,
+        usnews: false,
+        reading: true,
+        math: true,
+        ratio: false,
+        seatsPerApp: true,
+    };
+}
+
+/**
+ * Find the minimum and maximum values of a field.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {string} field - A school property, e.g. reading
+ * @returns {?Array.<number>} The minimum and maximum, or null if none are finite
+ */
+export function findRange(schools, field) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const school of schools) {
+        const value = school[field];
+        if (value === null || value === undefined || !isFinite(value)) {
+            continue;
+        }
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    return (min > max) ? null : [min, max];
+}
+
+/**
+ * Normalize a value to between 0 (worst) and 1 (best).
+ *
+ * @param {?number} value - A value, e.g. a reading score
+ * @param {Array.<number>} range - The minimum and maximum values
+ * @param {boolean} higher - Whether higher values are better
+ * @returns {number} A normalized value, or 0 if the value is missing
+ */
+export function normalize(value, range, higher) {
+    if (value === null || value === undefined || !isFinite(value)) {
+        return 0;
+    }
+    const [min, max] = range;
+    if (min === max) {
+        return 1;
+    }
+    const ratio = (value - min) / (max - min);
+    return higher ? ratio : 1 - ratio;
+}
+
+/**
+ * Score schools from 0 to 100, based on a weighted sum of normalized fields.
+ *
+ * Each field is normalized across the given schools, so scores are relative to
+ * the schools shown. Fields without data, e.g. distance without an address,
+ * are ignored. Schools missing a value score 0 for that field.
+ *
+ * @param {Schools} schools - Data about some schools
+ * @param {Object.<string, number>} weights - How much each field matters
+ * @returns {Schools} Data about some schools, with a score property
+ */
+export function scoreSchools(schools, weights) {
+    const fields = getScoreFields();
+    const ranges = {};
+    let total = 0;
+    for (const field in fields) {
+        const weight = weights[field];
+        if (!(weight > 0)) {
+            continue;
+        }
+        const range = findRange(schools, field);
+        if (range === null) {
+            continue;
+        }
+        ranges[field] = range;
+        total += weight;
+    }
+    for (const school of schools) {
+        if (total === 0) {
+            school.score = null;
+            continue;
+        }
+        let sum = 0;
+        for (const field in ranges) {
+            sum += weights[field] * normalize(school[field], ranges[field], fields[field]);
+        }
+        school.score = Math.round(sum / total * 1000) / 10;
+    }
+    return schools;
+}
@@ -3,18 +3,173 @@
  * @module public/sort
  */
 
+/**
+ * A field to sort schools by, and in which direction
+ *
+ * @typedef {Object} SortKey
+ * @property {string} field - A school property, e.g. distance
+ * @property {string} order - Either "asc" (ascending) or "desc" (descending)
+ */
+
+/**
+ * Get the fields schools may be sorted by, and their default directions.
+ *
+ * Each field sorts the best values first by default, e.g. the highest scores
+ * and the shortest distances.
+ *
+ * @returns {Object.<string, string>} Sort orders, keyed by field
+ */
+export function getSortOrders() {
+    return {
+        name: 'asc',
+        distance: 'asc',
+        minutes: 'asc',
+        anchorDistance: 'asc',
+        detour: 'asc',
+        neighborhood: 'asc',
+        usnews: 'asc',
+        greatschools: 'desc',
+        students: 'asc',
+        ratio: 'asc',
+        reading: 'desc',
+        math: 'desc',
+        science: 'desc',
+        graduated: 'desc',
+        seatsPerApp: 'asc',
+        score: 'desc',
+        slack: 'desc',
+    };
+}
+
+/**
+ * Get the maximum number of fields to sort by.
+ *
+ * @returns {number} How many fields schools may be sorted by at once
+ */
+export function getMaxSortKeys() {
+    return 3;
+}
+
+/**
+ * Parse a sort specification, e.g. "distance,greatschools:desc".
+ *
+ * Fields without a direction are sorted in their default direction.
+ *
+ * @param {?string} sort - Fields to sort by, separated by commas
+ * @returns {Array.<SortKey>} Fields to sort by, and their directions
+ */
+export function parseSortSpec(sort) {
+    const orders = getSortOrders();
+    const keys = [];
+    for (const part of (sort ?? '').split(',')) {
+        if (part === '') {
+            continue;
+        }
+        let [field, order] = part.split(':');
+        if (!(field in orders)) {
+            console.warn('Invalid sort criterion:', field);
+            continue;
+        }
+        if (order !== 'asc' && order !== 'desc') {
+            order = orders[field];
+        }
+        if (keys.some(key => key.field === field)) {
+            continue;
+        }
+        keys.push({field, order});
+        if (keys.length >= getMaxSortKeys()) {
+            break;
+        }
+    }
+    if (keys.length < 1) {
+        keys.push({field: 'name', order: orders.name});
+    }
+    return keys;
+}
+
+/**
+ * Format a sort specification, e.g. "distance:asc,greatschools:desc".
+ *
+ * @param {Array.<SortKey>} keys - Fields to sort by, and their directions
+ * @returns {string} Fields to sort by, separated by commas
+ */
+export function formatSortSpec(keys) {
+    return keys.map(key => `${key.field}:${key.order}`).join(',');
+}
+
+/**
+ * Change which fields to sort by, e.g. when a user clicks a column header.
+ *
+ * Choosing the only sorted field again reverses its direction. Adding a field
+ * already sorted by reverses its direction, keeping the other fields.
+ *
+ * @param {?string} sort - Fields to sort by, separated by commas
+ * @param {string} field - The field chosen
+ * @param {boolean} [add=false] - Whether to add to the fields sorted by
+ * @returns {string} Fields to sort by, separated by commas
+ */
+export function toggleSortKey(sort, field, add = false) {
+    const orders = getSortOrders();
+    const keys = parseSortSpec(sort);
+    const key = keys.find(key => key.field === field);
+    const reverse = order => (order === 'asc') ? 'desc' : 'asc';
+    if (add) {
+        if (key) {
+            key.order = reverse(key.order);
+        }
+        else if (keys.length < getMaxSortKeys()) {
+            keys.push({field, order: orders[field]});
+        }
+        return formatSortSpec(keys);
+    }
+    if (key && keys.length === 1) {
+        return formatSortSpec([{field, order: reverse(key.order)}]);
+    }
+    return formatSortSpec([{field, order: orders[field]}]);
+}
+
+/**
+ * Compare two schools by one field, sorting missing values last.
+ *
+ * @param {School} a - Data about a school
+ * @param {School} b - Data about a school
+ * @param {SortKey} key - The field to compare, and its direction
+ * @returns {number} Negative if a sorts first, positive if b sorts first
+ */
+function compareSchools(a, b, key) {
+    const x = a[key.field];
+    const y = b[key.field];
+    if (x === y) {
+        return 0;
+    }
+    if (y === null || y === undefined) {
+        return -1;
+    }
+    if (x === null || x === undefined) {
+        return 1;
+    }
+    const result = (typeof x === 'string') ? x.localeCompare(y) : x - y;
+    return (key.order === 'desc') ? -result : result;
+}
+
 /**
  * Sort schools, based on multiple criteria, in place.
  *
+ * Schools that tie on every field chosen are sorted by criteria related to the
+ * first field, e.g. reading, then math, then science scores.
+ *
  * @param {Schools} schools - Data about some schools
- * @param {?string} sort - Which field to sort by
+ * @param {?string} sort - Fields to sort by, e.g. "distance,greatschools:desc"
  * @returns {Schools} Data about some schools
  */
 export function sortSchools(schools, sort) {
-    const sortFunctions = {
+    const tieBreakers = {
         name: (a, b) => a.name.localeCompare(b.name),
-        distance: (a, b) => a.distance - b.distance,
-        neighborhood: (a, b) => a.neighborhood.localeCompare(b.neighborhood),
+        distance: (a, b) => a.name.localeCompare(b.name),
+        minutes: (a, b) => (a.distance - b.distance) || a.name.localeCompare(b.name),
+        anchorDistance: (a, b) => (a.detour - b.detour) || a.name.localeCompare(b.name),
+        detour: (a, b) => (a.anchorDistance - b.anchorDistance) || a.name.localeCompare(b.name),
+        neighborhood: (a, b) => a.name.localeCompare(b.name),
         usnews: sortSchoolsByUSNews,
         greatschools: sortSchoolsByGreatSchools,
         students: sortSchoolsByStudents,
@@ -24,14 +179,20 @@ export function sortSchools(schools, sort) {
         science: sortSchoolsByScience,
         graduated: sortSchoolsByGraduated,
         seatsPerApp: sortSchoolsBySeatsPerApp,
-    }
-    if (!(sort in sortFunctions)) {
-        if (sort) {
-            console.warn('Invalid sort criterion:', sort);
+        score: (a, b) => a.name.localeCompare(b.name),
+        slack: (a, b) => a.name.localeCompare(b.name),
+    };
+    const keys = parseSortSpec(sort);
+    const tieBreaker = tieBreakers[keys[0].field];
+    return schools.sort((a, b) => {
+        for (const key of keys) {
+            const result = compareSchools(a, b, key);
+            if (result !== 0) {
+                return result;
+            }
         }
-        sort = 'name';
-    }
-    return schools.sort(sortFunctions[sort]);
+        return tieBreaker(a, b);
+    });
 }
 
 function sortSchoolsByGraduated(a, b) {
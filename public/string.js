@@ -53,6 +53,23 @@ export function compressWhitespace(str) {
     return str.trim().replace(/\s+/g, ' ');
 }
 
+/**
+ * Escape text for safe output to HTML.
+ *
+ * @param {string} str - Unsafe text
+ * @returns {string} The text with HTML special characters escaped
+ */
+export function escapeHTML(str) {
+    const entities = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+    };
+    return str.replace(/[&<>"']/g, char => entities[char]);
+}
+
 /**
  * Encode input for safe output to a URL.
  *
@@ -70,6 +87,90 @@ export function encodeURLParam(value, allowCommas = false, maxLength = 255) {
     return value;
 }
 
+/**
+ * Format ordinal numbers, e.g. "1st".
+ *
+ * @param {number} - A number
+ * @returns {string} - A number with an ordinal suffix
+ */
+export function formatOrdinal(num) {
+    const str = num.toString();
+    switch (str.slice(-2)) {
+        case '11':
+        case '12':
+        case '13':
+            return str + 'th';
+    }
+    switch (str.slice(-1)) {
+        case '1':
+            return str + 'st';
+        case '2':
+            return str + 'nd';
+        case '3':
+            return str + 'rd';
+        case '4':
+        case '5':
+        case '6':
+        case '7':
+        case '8':
+        case '9':
+        case '0':
+            return str + 'th';
+        default:
+            return num;
+    }
+}
+
+/**
+ * Determine whether a string contains another, allowing for typos.
+ *
+ * This finds the fewest edits (insertions, deletions, or substitutions) needed
+ * to turn the needle into any substring of the haystack.
+ *
+ * @param {string} haystack - A string to search in
+ * @param {string} needle - A string to search for
+ * @param {?number} [maxEdits=null] - How many edits to allow; by default, one
+ * per four characters in the needle
+ * @returns {boolean} Whether the haystack contains the needle, roughly
+ */
+export function fuzzyIncludes(haystack, needle, maxEdits = null) {
+    if (maxEdits === null) {
+        maxEdits = Math.floor(needle.length / 4);
+    }
+    if (haystack.includes(needle)) {
+        return true;
+    }
+    // Each column holds the edits needed to match the needle's first i chars,
+    // ending at the current position in the haystack.
+    let column = [];
+    for (let i = 0; i <= needle.length; i++) {
+        column.push(i);
+    }
+    for (const char of haystack) {
+        const next = [0];
+        for (let i = 1; i <= needle.length; i++) {
+            const cost = (needle[i - 1] === char) ? 0 : 1;
+            next.push(Math.min(column[i] + 1, next[i - 1] + 1, column[i - 1] + cost));
+        }
+        if (next[needle.length] <= maxEdits) {
+            return true;
+        }
+        column = next;
+    }
+    return column[needle.length] <= maxEdits;
+}
+
+/**
+ * Normalize a string for searching: without accents, punctuation, redundant
+ * whitespace, or capital letters.
+ *
+ * @param {string} str - A string, e.g. a school name
+ * @returns {string} A normalized string
+ */
+export function normalizeSearch(str) {
+    return compressWhitespace(removePunctuation(removeAccents(str))).toLowerCase();
+}
+
 /**
  * Remove accents from characters in a string.
  *
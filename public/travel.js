@@ -0,0 +1,143 @@
+/**
+ * Travel time and schedule functions
+ * @module public/travel
+ */
+
+/**
+ * A parent's morning schedule
+ *
+ * @typedef {Object} Schedule
+ * @property {?string} leave - The earliest time to leave home, e.g. "7:30"
+ * @property {?string} work - The time to arrive at work, e.g. "9:00"
+ * @property {?(string|number)} commute - Minutes from school to work
+ */
+
+/**
+ * A way to travel to school
+ *
+ * @typedef {Object} TravelMode
+ * @property {string} name - The mode's name, e.g. Walk
+ * @property {number} mph - Default average speed in miles per hour, including stops
+ */
+
+/**
+ * Get the ways to travel to school, keyed by ID.
+ *
+ * @returns {Map.<string, TravelMode>} Travel modes
+ */
+export function getTravelModes() {
+    return new Map([
+        ['walk', {name: 'Walk', mph: 3}],
+        ['bike', {name: 'Bike', mph: 9}],
+        ['drive', {name: 'Drive', mph: 15}],
+        ['muni', {name: 'Muni', mph: 7}],
+    ]);
+}
+
+/**
+ * Get how much farther than straight-line distance trips usually are.
+ *
+ * Streets rarely lead straight to school, and hills and the bay get in the way.
+ *
+ * @returns {number} Travel distance divided by straight-line distance
+ */
+export function getDefaultDetour() {
+    return 1.3;
+}
+
+/**
+ * Get the default travel speeds, and detour factor.
+ *
+ * @returns {Object.<string, number>} Speeds in mph keyed by travel mode, and detour
+ */
+export function getDefaultSpeeds() {
+    const speeds = {};
+    for (const [mode, travelMode] of getTravelModes()) {
+        speeds[mode] = travelMode.mph;
+    }
+    speeds.detour = getDefaultDetour();
+    return speeds;
+}
+
+/**
+ * Parse a time of day, e.g. "8:40" or "08:40".
+ *
+ * @param {?string} time - Hours and minutes, in 24-hour time
+ * @returns {?number} Minutes since midnight, or null if invalid
+ */
+export function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time ?? '');
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+/**
+ * Estimate how long it takes to travel a distance.
+ *
+ * @param {number} miles - Distance in miles
+ * @param {number} [mph=12] - Average speed in miles per hour, including stops
+ * @param {number} [detour=1] - Travel distance divided by straight-line distance
+ * @returns {number} Travel time in minutes, or Infinity if the distance is unknown
+ */
+export function estimateMinutes(miles, mph = 12, detour = 1) {
+    if (!isFinite(miles) || !(mph > 0)) {
+        return Infinity;
+    }
+    return miles * detour / mph * 60;
+}
+
+/**
+ * Estimate how long it takes to travel a straight-line distance by some mode.
+ *
+ * @param {number} miles - Straight-line distance in miles
+ * @param {string} mode - The travel mode, e.g. walk, or drive if unknown
+ * @param {Object.<string, number>} [speeds={}] - Speeds in mph, and detour, to override defaults
+ * @returns {number} Travel time in minutes, or Infinity if the distance is unknown
+ */
+export function findTravelMinutes(miles, mode, speeds = {}) {
+    const modes = getTravelModes();
+    const key = modes.has(mode) ? mode : 'drive';
+    const mph = speeds[key] > 0 ? speeds[key] : modes.get(key).mph;
+    const detour = speeds.detour >= 1 ? speeds.detour : getDefaultDetour();
+    return estimateMinutes(miles, mph, detour);
+}
+
+/**
+ * Find how many minutes a parent can spare, dropping a child off at school.
+ *
+ * Drop-off is at the school's start time. The slack is the smaller of the wait
+ * at school, after leaving home as early as possible, and the time to spare
+ * on arriving at work. Negative slack means the school doesn't fit.
+ *
+ * @param {string} start - The school's start time, e.g. "8:40"
+ * @param {number} minutes - Travel time from home to school, in minutes
+ * @param {Schedule} schedule - A parent's morning schedule
+ * @returns {?number} Minutes to spare, or null if there's not enough info
+ */
+export function findSlack(start, minutes, schedule) {
+    const startTime = parseTime(start);
+    if (startTime === null) {
+        return null;
+    }
+    const margins = [];
+    const leave = parseTime(schedule.leave);
+    if (leave !== null && isFinite(minutes)) {
+        margins.push(startTime - (leave + minutes));
+    }
+    const work = parseTime(schedule.work);
+    if (work !== null) {
+        const commute = parseFloat(schedule.commute) || 0;
+        margins.push(work - commute - startTime);
+    }
+    if (margins.length < 1) {
+        return null;
+    }
+    return Math.floor(Math.min(...margins));
+}
@@ -0,0 +1,170 @@
+/**
+ * URL query string functions
+ * @module public/url
+ */
+
+import { getDefaultSpeeds } from './travel.js';
+
+/**
+ * Get the default form input values.
+ *
+ * @returns {Object} Form input values
+ */
+export function getDefaultInputs() {
+    return {
+        address: '',
+        anchor: '',
+        menus: {
+            sort: 'name',
+            type: [],
+            grade: '',
+            neighborhood: [],
+            start: [],
+            language: [],
+            target: [],
+            charter: '',
+            within: '',
+            route: '',
+            mode: 'drive',
+            minutes: '',
+            detour: '',
+            name: '',
+            leave: '',
+            work: '',
+            commute: '',
+            pathway: '',
+            minGreatschools: '',
+            maxUsnews: '',
+            minReading: '',
+            minMath: '',
+            minScience: '',
+            minGraduated: '',
+            maxRatio: '',
+            minSeatsPerApp: '',
+            minStudents: '',
+            maxStudents: '',
+            nulls: '',
+        },
+        columns: {
+            code: false,
+            minority: false,
+            lowIncome: false,
+            gender: false,
+        },
+        weights: {
+            distance: 0,
+            greatschools: 0,
+            usnews: 0,
+            reading: 0,
+            math: 0,
+            ratio: 0,
+            seatsPerApp: 0,
+        },
+        travel: getDefaultSpeeds(),
+        preset: '',
+        compare: [],
+        children: [],
+        ranked: [],
+    };
+}
+
+/**
+ * Get the names of address inputs, which are encoded in URLs along with menus.
+ *
+ * @returns {Array.<string>} Address input names, e.g. address
+ */
+function getAddressInputs() {
+    return ['address', 'anchor'];
+}
+
+/**
+ * Encode form inputs as a URL query string, omitting default values.
+ *
+ * @param {Object} inputs - Form input values
+ * @param {Object} defaults - Default form input values
+ * @returns {string} A URL query string, e.g. "?grade=k&within=2", or the empty string
+ */
+export function encodeInputs(inputs, defaults) {
+    const params = new URLSearchParams();
+    for (const name of getAddressInputs()) {
+        if (inputs[name]) {
+            params.set(name, inputs[name]);
+        }
+    }
+    for (const name in defaults.menus) {
+        const value = inputs.menus[name];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        if (value.toString() === defaults.menus[name].toString()) {
+            continue;
+        }
+        if (Array.isArray(value)) {
+            for (const v of value) {
+                params.append(name, v);
+            }
+            continue;
+        }
+        params.set(name, value);
+    }
+    // Commas and colons are safe in query strings, and easier to read.
+    const query = params.toString().replaceAll('%2C', ',').replaceAll('%3A', ':');
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Determine whether a menu value is one of the menu's options.
+ *
+ * @param {Object.<string, Array.<string>>} known - Option values, by menu name
+ * @param {string} name - A menu name, e.g. language
+ * @param {string} value - A menu value, e.g. Spanish
+ * @returns {boolean} Whether the value is an option, or the menu's options aren't known
+ */
+function isKnownValue(known, name, value) {
+    return !(name in known) || known[name].includes(value);
+}
+
+/**
+ * Decode form inputs from a URL query string.
+ *
+ * Only addresses and menus are encoded in URLs; parameters not found in the
+ * defaults are ignored. Menus whose defaults are arrays may repeat, e.g.
+ * "?language=Spanish&language=Chinese". Values that aren't among a menu's
+ * known options are dropped, so that shared links can't add options to menus.
+ *
+ * @param {string} query - A URL query string, e.g. "?grade=k&within=2"
+ * @param {Object} defaults - Default form input values
+ * @param {Object.<string, Array.<string>>} [known={}] - Option values, by menu name
+ * @returns {?Object} The address and menu input values, or null if none
+ */
+export function decodeInputs(query, defaults, known = {}) {
+    const params = new URLSearchParams(query);
+    const inputs = {};
+    let found = false;
+    for (const name of getAddressInputs()) {
+        if (!(name in defaults)) {
+            continue;
+        }
+        inputs[name] = defaults[name];
+        if (params.has(name)) {
+            inputs[name] = params.get(name);
+            found = true;
+        }
+    }
+    inputs.menus = structuredClone(defaults.menus);
+    for (const name in defaults.menus) {
+        if (!params.has(name)) {
+            continue;
+        }
+        const value = params.get(name);
+        if (Array.isArray(defaults.menus[name])) {
+            inputs.menus[name] = params.getAll(name)
+                .filter(v => v !== '' && isKnownValue(known, name, v));
+        }
+        else if (value === '' || isKnownValue(known, name, value)) {
+            inputs.menus[name] = value;
+        }
+        found = true;
+    }
+    return found ? inputs : null;
+}
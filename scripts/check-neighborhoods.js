@@ -0,0 +1,60 @@
+/**
+ * @file Check neighborhood boundaries against school and address data.
+ */
+
+import { expandCoords, findNeighborhood, getCoordsURL, isInPolygon } from '../public/geo.js';
+import addressData from '../public/address-data.js';
+import neighborhoodData from '../public/neighborhood-data.js';
+import schoolData from '../public/school-data.js';
+
+// Does each school's location match its neighborhood label?
+let mismatches = 0;
+for (const school of schoolData) {
+    const found = findNeighborhood(neighborhoodData, school.ll);
+    if (found === school.neighborhood) {
+        continue;
+    }
+    mismatches++;
+    console.log(`${school.name} ${school.types[0]}:`, {
+        label: school.neighborhood,
+        found,
+        address: school.address,
+        map: getCoordsURL(school.ll),
+    });
+}
+console.log(mismatches, 'of', schoolData.length, 'schools are outside their labeled neighborhood');
+
+// Are any school neighborhood labels missing a polygon?
+const labels = new Set(schoolData.map(school => school.neighborhood));
+for (const label of labels) {
+    if (!(label in neighborhoodData)) {
+        console.log('No polygon for neighborhood:', label);
+    }
+}
+
+// Is every address in exactly one neighborhood?
+const names = Object.keys(neighborhoodData);
+const outside = [];
+const overlaps = [];
+let count = 0;
+for (const st in addressData) {
+    for (const num in addressData[st]) {
+        const coords = expandCoords(addressData[st][num]);
+        const found = names.filter(name => isInPolygon(coords, neighborhoodData[name]));
+        if (found.length === 0) {
+            outside.push(`${num} ${st} ${getCoordsURL(coords)}`);
+        }
+        else if (found.length > 1) {
+            overlaps.push(`${num} ${st} is in ${found.join(', ')}`);
+        }
+        count++;
+    }
+}
+console.log(outside.length, 'of', count, 'addresses are outside every neighborhood');
+for (const address of outside.slice(0, 20)) {
+    console.log(' ', address);
+}
+console.log(overlaps.length, 'of', count, 'addresses are in more than one neighborhood');
+for (const address of overlaps.slice(0, 20)) {
+    console.log(' ', address);
+}
@@ -3,7 +3,11 @@
  */
 
 import { normalizeAddress, splitStreetAddress } from '../public/address.js';
-import { expandCoords,
+import { buildAddressIndex,
+         expandCoords,
+         findNearest,
+         findWithin,
+         getBounds,
          getCoordsURL,
          howFar,
          lonToMilesFactor } from '../public/geo.js';
@@ -71,6 +75,16 @@ console.log('Southernmost address:', getCoordsURL([minLat, minLatLon]), south);
 console.log('Easternmost address: ', getCoordsURL([minLonLat, minLon]), east);
 console.log('Westernmost address: ', getCoordsURL([maxLonLat, maxLon]), west);
 
+// Do the map's extents in getBounds() match the addresses found above?
+const bounds = {
+    north: parseFloat(maxLat),
+    south: parseFloat(minLat),
+    east: parseFloat(minLon),
+    west: parseFloat(maxLon),
+};
+console.log('Address extents:', bounds);
+console.log('getBounds():    ', getBounds());
+
 // How many miles per degree of longitude are there at various latitudes?
 for (let lat = 0; lat <= 90; lat += 10) {
     console.log(lat, Math.round(lonToMilesFactor(lat) * 10) / 10);
@@ -82,6 +96,7 @@ let minName = '';
 let maxFeet = -Infinity;
 let maxName = '';
 const discrepancies = [];
+const addressIndex = buildAddressIndex(addressData);
 
 for (const school of schoolData) {
     const name = `${school.name} ${school.types[0]}`;
@@ -97,10 +112,13 @@ for (const school of schoolData) {
     }
     const coords = expandCoords(addressData[street][num]);
     const feet = Math.round(howFar(school.ll, coords) * 5280);
+    // Which address is nearest the school's coordinates?
+    const [nearest] = findNearest(addressIndex, school.ll);
     discrepancies.push({
         name: name,
         address: school.address,
         feet: feet,
+        nearest: addressIndex.items[nearest],
         school: school.ll,
         sfdata: [parseFloat(coords[0]), parseFloat(coords[1])],
     });
@@ -124,6 +142,15 @@ for (const discrepancy of discrepancies) {
 
 //console.log({minName, minFeet, maxName, maxFeet});
 
+// Which schools have the most and fewest addresses within a quarter mile?
+const neighbors = schoolData.map(school => ({
+    name: `${school.name} ${school.types[0]}`,
+    addresses: findWithin(addressIndex, school.ll, 0.25).length,
+}));
+neighbors.sort((a, b) => a.addresses - b.addresses);
+console.log('Fewest addresses within 1/4 mile:', neighbors[0]);
+console.log('Most addresses within 1/4 mile:', neighbors[neighbors.length - 1]);
+
 // How long is the longest street address?
 let maxLength = 0;
 let maxStreet = '';
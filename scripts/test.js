@@ -4,10 +4,19 @@
  */
 
 import AddressTest from '../test/address.js';
+import ColumnTest from '../test/column.js';
+import ExportTest from '../test/export.js';
+import FilterTest from '../test/filter.js';
 import GeoTest from '../test/geo.js';
+import PathwayTest from '../test/pathway.js';
+import PlannerTest from '../test/planner.js';
+import PresetTest from '../test/preset.js';
+import ScoreTest from '../test/score.js';
 import SortTest from '../test/sort.js';
 import StringTest from '../test/string.js';
 import TestTest from '../test/test.js';
+import TravelTest from '../test/travel.js';
+import URLTest from '../test/url.js';
 
 /**
  * Run automated tests.
@@ -196,24 +205,108 @@ export default class Test {
         const methods = [
             AddressTest.compareAddresses,
             AddressTest.fixNumberedStreets,
+            AddressTest.lookupAddress,
             AddressTest.normalizeAddress,
             AddressTest.replaceStreetSuffixes,
             AddressTest.splitStreetAddress,
+            AddressTest.standardizeStreet,
+            ColumnTest.findShownColumns,
+            ColumnTest.hasData,
+            ExportTest.formatCSVField,
+            ExportTest.formatRankedList,
+            ExportTest.getAllFields,
+            ExportTest.getApplication,
+            ExportTest.getExportFields,
+            ExportTest.numberRanked,
+            ExportTest.pickSchoolFields,
+            ExportTest.schoolsToCSV,
+            ExportTest.schoolsToGeoJSON,
+            ExportTest.schoolsToJSON,
+            FilterTest.copyFilters,
+            FilterTest.describeFilter,
+            FilterTest.filterCharter,
+            FilterTest.filterDetour,
+            FilterTest.filterGrade,
+            FilterTest.filterLanguage,
+            FilterTest.filterName,
+            FilterTest.filterNeighborhood,
+            FilterTest.filterSchedule,
+            FilterTest.filterSchool,
+            FilterTest.filterSchools,
+            FilterTest.filterStartTime,
+            FilterTest.filterTarget,
+            FilterTest.filterThreshold,
+            FilterTest.filterThresholds,
+            FilterTest.filterTravelTime,
+            FilterTest.filterType,
+            FilterTest.filterWithin,
+            FilterTest.findRelaxations,
+            FilterTest.getStartTimeRanges,
+            FilterTest.toArray,
+            GeoTest.buildAddressIndex,
+            GeoTest.buildSpatialIndex,
+            GeoTest.buildStreetGraph,
             GeoTest.degreesToRadians,
             GeoTest.expandCoords,
+            GeoTest.findAdjacentNeighborhoods,
+            GeoTest.findLargestComponent,
+            GeoTest.findNearest,
+            GeoTest.findNearestNode,
+            GeoTest.findNeighborhood,
+            GeoTest.findPathDistances,
+            GeoTest.findWithin,
+            GeoTest.flatDistance,
+            GeoTest.getBounds,
             GeoTest.getCoordsURL,
             GeoTest.getDirectionsURL,
+            GeoTest.getDistanceAlgorithms,
+            GeoTest.getEarthRadius,
+            GeoTest.getEllipsoid,
+            GeoTest.getMapSize,
             GeoTest.getMapURL,
+            GeoTest.haversine,
             GeoTest.howFar,
+            GeoTest.howFarAlgorithms,
+            GeoTest.howFarByStreet,
+            GeoTest.isInPolygon,
+            GeoTest.isWithinBounds,
             GeoTest.latToMiles,
             GeoTest.latToMilesFactor,
             GeoTest.lonToMiles,
             GeoTest.lonToMilesFactor,
+            GeoTest.projectCoords,
+            GeoTest.vincenty,
+            PathwayTest.buildFeederTree,
+            PathwayTest.buildPathway,
+            PathwayTest.findFeeders,
+            PathwayTest.findPathwaySchools,
+            PathwayTest.findTargets,
+            PlannerTest.comparePlans,
+            PlannerTest.getMaxChildren,
+            PlannerTest.planMorning,
+            PlannerTest.planMornings,
+            PresetTest.deletePreset,
+            PresetTest.loadPreset,
+            PresetTest.makePreset,
+            PresetTest.renamePreset,
+            PresetTest.savePreset,
+            ScoreTest.findRange,
+            ScoreTest.normalize,
+            ScoreTest.scoreSchools,
+            SortTest.formatSortSpec,
+            SortTest.parseSortSpec,
+            SortTest.sortMultiple,
             SortTest.sortSchools,
+            SortTest.sortTies,
+            SortTest.toggleSortKey,
             StringTest.capitalize,
             StringTest.capitalizeWords,
             StringTest.compressWhitespace,
             StringTest.encodeURLParam,
+            StringTest.escapeHTML,
+            StringTest.formatOrdinal,
+            StringTest.fuzzyIncludes,
+            StringTest.normalizeSearch,
             StringTest.removeAccents,
             StringTest.removePunctuation,
             TestTest.compare,
@@ -222,6 +315,14 @@ export default class Test {
             TestTest.compareObjects,
             TestTest.compareSets,
             TestTest.isObject,
+            TravelTest.estimateMinutes,
+            TravelTest.findSlack,
+            TravelTest.findTravelMinutes,
+            TravelTest.getDefaultSpeeds,
+            TravelTest.parseTime,
+            URLTest.decodeInputs,
+            URLTest.encodeInputs,
+            URLTest.getDefaultInputs,
         ];
 
         let failures = 0;
@@ -1,81 +1,139 @@
 import fs from 'fs';
 import http from 'http';
 
+import { lookupAddress } from '../public/address.js';
+import { schoolsToGeoJSON } from '../public/export.js';
+import { filterSchools } from '../public/filter.js';
+import { howFar } from '../public/geo.js';
+import { sortSchools } from '../public/sort.js';
+import { findTravelMinutes, getDefaultSpeeds } from '../public/travel.js';
+import { decodeInputs, getDefaultInputs } from '../public/url.js';
+import addressData from '../public/address-data.js';
 import schoolData from '../public/school-data.js';
 
 const hostname = '127.0.0.1';
 const port = 3008;
 
+/**
+ * Find the schools matching a URL query string, as the web page would.
+ *
+ * Distances are in a straight line, and travel times use the default speeds.
+ *
+ * @param {string} query - A URL query string, e.g. "?grade=k&within=2"
+ * @returns {Schools} Data about some schools, sorted
+ */
+function findSchools(query) {
+    const defaults = getDefaultInputs();
+    const inputs = decodeInputs(query, defaults) ?? defaults;
+    const coords = lookupAddress(addressData, inputs.address);
+    const anchor = lookupAddress(addressData, inputs.anchor);
+    // Copy the schools, so that one request's distances don't leak into another's.
+    const schools = schoolData.map(school => ({...school}));
+    const direct = howFar(coords, anchor);
+    const speeds = getDefaultSpeeds();
+    for (const school of schools) {
+        school.distance = howFar(coords, school.ll);
+        const minutes = findTravelMinutes(school.distance, inputs.menus.mode, speeds);
+        school.minutes = isFinite(minutes) ? Math.round(minutes) : null;
+        school.anchorDistance = anchor ? howFar(school.ll, anchor) : null;
+        school.detour = (anchor && coords)
+            ? school.distance + school.anchorDistance - direct : null;
+    }
+    if (!coords) {
+        inputs.menus.within = '';
+        inputs.menus.minutes = '';
+    }
+    if (!coords || !anchor) {
+        inputs.menus.detour = '';
+    }
+    return sortSchools(filterSchools(schools, inputs.menus), inputs.menus.sort);
+}
+
 const server = http.createServer((request, response) => {
     const path = request.url.split('?')[0];
     let content = '';
 
     switch (path) {
-    case '/':
-        response.statusCode = 200;
-        response.setHeader('Content-Type', 'text/html');
-        content = fs.readFileSync('public/index.html', 'utf8');
-        console.log('HTTP', response.statusCode, request.url);
-        break;
-    case '/index.js':
-    case '/school-data.js':
-    case '/address-data.js':
-    case '/address.js':
-    case '/geo.js':
-    case '/sort.js':
-    case '/string.js':
-        response.statusCode = 200;
-        response.setHeader('Content-Type', 'text/javascript');
-        content = fs.readFileSync('public' + path, 'utf8');
-        break;
-    case '/schools.json':
-        response.statusCode = 200;
-        response.setHeader('Content-Type', 'application/json');
-        content = JSON.stringify(schoolData);
-        break;
-    case '/main.css':
-        response.statusCode = 200;
-        response.setHeader('Content-Type', 'text/css');
-        content = fs.readFileSync('public' + path, 'utf8');
-        break;
-    case '/img/404.jpg':
-        response.statusCode = 200;
-        response.setHeader('Content-Type', 'image/jpeg');
-        content = fs.readFileSync('public' + path);
-        break;
-    case '/img/sfusd-16.png':
-    case '/img/sfusd-32.png':
-    case '/img/sfusd-36x32.png':
-    case '/img/sfusd-57.png':
-    case '/img/sfusd-60.png':
-    case '/img/sfusd-70.png':
-    case '/img/sfusd-72.png':
-    case '/img/sfusd-72x61.png':
-    case '/img/sfusd-76.png':
-    case '/img/sfusd-96.png':
-    case '/img/sfusd-108x90.png':
-    case '/img/sfusd-120.png':
-    case '/img/sfusd-128.png':
-    case '/img/sfusd-152.png':
-    case '/img/sfusd-167.png':
-    case '/img/sfusd-180.png':
-    case '/img/sfusd-192.png':
-    case '/img/sfusd-400.png':
-        response.statusCode = 200;
-        response.setHeader('Content-Type', 'image/png');
-        content = fs.readFileSync('public' + path);
-        break;
-    case '/img/favicon.ico':
-        response.statusCode = 200;
-        response.setHeader('Content-Type', 'image/x-icon');
-        content = fs.readFileSync('public' + path);
-        break;
-    default:
-        response.statusCode = 404;
-        response.setHeader('Content-Type', 'text/html');
-        content = fs.readFileSync('public/404.html', 'utf8');
-        console.log('HTTP', response.statusCode, request.url);
-        break;
+        case '/':
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'text/html');
+            content = fs.readFileSync('public/index.html', 'utf8');
+            console.log('HTTP', response.statusCode, request.url);
+            break;
+        case '/index.js':
+        case '/school-data.js':
+        case '/address-data.js':
+        case '/neighborhood-data.js':
+        case '/address.js':
+        case '/column.js':
+        case '/export.js':
+        case '/filter.js':
+        case '/geo.js':
+        case '/pathway.js':
+        case '/planner.js':
+        case '/preset.js':
+        case '/score.js':
+        case '/sort.js':
+        case '/string.js':
+        case '/travel.js':
+        case '/url.js':
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'text/javascript');
+            content = fs.readFileSync('public' + path, 'utf8');
+            break;
+        case '/schools.json':
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'application/json');
+            content = JSON.stringify(schoolData);
+            break;
+        case '/schools.geojson':
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'application/geo+json');
+            content = JSON.stringify(schoolsToGeoJSON(findSchools(request.url.slice(path.length))));
+            break;
+        case '/main.css':
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'text/css');
+            content = fs.readFileSync('public' + path, 'utf8');
+            break;
+        case '/img/404.jpg':
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'image/jpeg');
+            content = fs.readFileSync('public' + path);
+            break;
+        case '/img/sfusd-16.png':
+        case '/img/sfusd-32.png':
+        case '/img/sfusd-36x32.png':
+        case '/img/sfusd-57.png':
+        case '/img/sfusd-60.png':
+        case '/img/sfusd-70.png':
+        case '/img/sfusd-72.png':
+        case '/img/sfusd-72x61.png':
+        case '/img/sfusd-76.png':
+        case '/img/sfusd-96.png':
+        case '/img/sfusd-108x90.png':
+        case '/img/sfusd-120.png':
+        case '/img/sfusd-128.png':
+        case '/img/sfusd-152.png':
+        case '/img/sfusd-167.png':
+        case '/img/sfusd-180.png':
+        case '/img/sfusd-192.png':
+        case '/img/sfusd-400.png':
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'image/png');
+            content = fs.readFileSync('public' + path);
+            break;
+        case '/img/favicon.ico':
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'image/x-icon');
+            content = fs.readFileSync('public' + path);
+            break;
+        default:
+            response.statusCode = 404;
+            response.setHeader('Content-Type', 'text/html');
+            content = fs.readFileSync('public/404.html', 'utf8');
+            console.log('HTTP', response.statusCode, request.url);
+            break;
     }
 
     response.setHeader('Content-Length', Buffer.byteLength(content));
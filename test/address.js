@@ -5,11 +5,19 @@
 
 import { compareAddresses,
          fixNumberedStreets,
+         lookupAddress,
          normalizeAddress,
          replaceStreetSuffixes,
-         splitStreetAddress } from '../public/address.js';
+         splitStreetAddress,
+         standardizeStreet } from '../public/address.js';
 import Test from '../scripts/test.js';
 
+const addresses = {
+    '03RD ST': {151: [7855, 4007]},
+    'CESAR CHAVEZ ST': {3125: [7477, 4115]},
+    'SLOAT BLVD': {2995: [7371, 4997]},
+};
+
 export default class AddressTest {
     static compareAddresses() {
         const tests = [
@@ -27,6 +35,20 @@ export default class AddressTest {
         return Test.run(fixNumberedStreets, tests);
     }
 
+    static lookupAddress() {
+        const tests = [
+            [[addresses, null], null],
+            [[addresses, ''], null],
+            [[addresses, 'Sloat Blvd'], null],
+            [[addresses, '2995 Sloat Boulevard'], ['37.7371', '-122.4997']],
+            [[addresses, ' 151 3rd St '], ['37.7855', '-122.4007']],
+            [[addresses, '3125 César Chávez St'], ['37.7477', '-122.4115']],
+            [[addresses, '2997 Sloat Blvd'], null],
+            [[addresses, '1 Main St'], null],
+        ];
+        return Test.run(lookupAddress, tests);
+    }
+
     static normalizeAddress() {
         const tests = [
             [[' 151  3rd street'], '151 03RD ST'],
@@ -51,4 +73,14 @@ export default class AddressTest {
         ];
         return Test.run(splitStreetAddress, tests);
     }
+
+    static standardizeStreet() {
+        const tests = [
+            [['Sloat Boulevard'], 'SLOAT BLVD'],
+            [['3rd  street'], '03RD ST'],
+            [["O'Shaughnessy Blvd"], 'OSHAUGHNESSY BLVD'],
+            [['César Chávez St'], 'CESAR CHAVEZ ST'],
+        ];
+        return Test.run(standardizeStreet, tests);
+    }
 }
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for table column functions
+ * @module test/column
+ */
+
+import { findShownColumns, getColumns, hasData } from '../public/column.js';
+import Test from '../scripts/test.js';
+
+const full = {
+    score: 72,
+    code: 413,
+    slack: 10,
+    distance: 1.5,
+    minutes: 8,
+    anchorDistance: 2,
+    detour: 0.5,
+    usnews: 53,
+    greatschools: 7,
+    teachers: 30,
+    ratio: 15,
+    reading: 55,
+    math: 48,
+    science: 40,
+    graduated: 90,
+    minority: 60,
+    lowIncome: 40,
+    male: 51,
+    female: 49,
+    feedsInto: ['Lowell'],
+};
+
+const empty = {
+    ...Object.fromEntries(Object.keys(full).map(field => [field, null])),
+    feedsInto: [],
+};
+
+const allShown = Object.fromEntries([...getColumns().keys()].map(column => [column, true]));
+
+// Columns without data that may be hidden; the others are always shown.
+const optional = [
+    'score', 'code', 'slack', 'distance', 'minutes', 'anchorDistance', 'detour',
+    'usnews', 'greatschools', 'teachers', 'ratio', 'reading', 'math', 'science',
+    'graduated', 'minority', 'lowIncome', 'gender', 'feedsInto',
+];
+
+const noneShown = {...allShown, ...Object.fromEntries(optional.map(column => [column, false]))};
+
+export default class ColumnTest {
+    static findShownColumns() {
+        const tests = [
+            [[[full]], allShown],
+            [[[full], {}], allShown],
+            [[[full], {code: true, reading: false, gender: false}], {...allShown, reading: false, gender: false}],
+            [[[empty, full]], allShown],
+            [[[empty]], noneShown],
+            [[[]], noneShown],
+            [[[empty], {code: true, address: false}], {...noneShown, address: false}],
+        ];
+        return Test.run(findShownColumns, tests);
+    }
+
+    static hasData() {
+        const tests = [
+            [[[], ['reading']], false],
+            [[[empty], ['reading']], false],
+            [[[empty, full], ['reading']], true],
+            [[[{reading: 0}], ['reading']], true],
+            [[[empty], ['feedsInto']], false],
+            [[[full], ['feedsInto']], true],
+            [[[{male: null, female: 49}], ['male', 'female']], true],
+        ];
+        return Test.run(hasData, tests);
+    }
+}
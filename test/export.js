@@ -0,0 +1,197 @@
+/**
+ * Unit tests for export functions
+ * @module test/export
+ */
+
+import { formatCSVField,
+         formatRankedList,
+         getAllFields,
+         getApplication,
+         getExportFields,
+         numberRanked,
+         pickSchoolFields,
+         schoolsToCSV,
+         schoolsToGeoJSON,
+         schoolsToJSON } from '../public/export.js';
+import Test from '../scripts/test.js';
+
+const schools = [
+    {
+        name: 'Lowell',
+        types: ['High'],
+        ll: [37.7306, -122.4835],
+        distance: 1.23456,
+        reading: 92,
+        languages: ['Chinese', 'Spanish'],
+    },
+    {
+        name: 'Rooftop, "Mayeda"',
+        types: ['Elementary', 'K-8'],
+        ll: [37.7317, -122.4525],
+        distance: 2,
+        reading: null,
+        languages: [],
+    },
+];
+
+const fields = ['name', 'distance', 'reading', 'languages'];
+
+const alamo = {name: 'Alamo', types: ['Elementary'], code: 413, charter: false};
+const rooftop = {name: 'Rooftop', types: ['K-8'], code: 834, charter: false};
+const newTech = {name: 'New Tech', types: ['Elementary'], code: null, charter: false};
+const gateway = {name: 'Gateway', types: ['Middle'], code: 801, charter: true};
+
+/**
+ * Get a school's name and type, e.g. Alamo Elementary School.
+ *
+ * @param {School} school - Data about a school
+ * @returns {string} The school's name and type
+ */
+function getFullName(school) {
+    return `${school.name} ${school.types[0]} School`;
+}
+
+export default class ExportTest {
+    static formatCSVField() {
+        const tests = [
+            [[null], ''],
+            [[undefined], ''],
+            [[0], '0'],
+            [[false], 'false'],
+            [['Lowell'], 'Lowell'],
+            [['a, b'], '"a, b"'],
+            [['say "hi"'], '"say ""hi"""'],
+            [[['a', 'b']], 'a; b'],
+        ];
+        return Test.run(formatCSVField, tests);
+    }
+
+    static formatRankedList() {
+        const tests = [
+            [[[], getFullName], 'My SFUSD School Rankings\n\n'],
+            [[[rooftop, alamo], getFullName], 'My SFUSD School Rankings\n\n'
+                + '1. 834 Rooftop K-8 School\n'
+                + '2. 413 Alamo Elementary School\n'],
+            [[[newTech], getFullName], 'My SFUSD School Rankings\n\n'
+                + '1. New Tech Elementary School\n'],
+            // Charter schools are listed only under their own heading.
+            [[[gateway, alamo], getFullName], 'My SFUSD School Rankings\n\n'
+                + '1. 413 Alamo Elementary School\n'
+                + '\nCharter Schools (Apply Directly)\n\n'
+                + '- Gateway Middle School\n'],
+        ];
+        return Test.run(formatRankedList, tests);
+    }
+
+    static getAllFields() {
+        const tests = [
+            [[[]], []],
+            [[schools], ['name', 'types', 'distance', 'reading', 'languages']],
+            [[[{name: 'A', ll: [0, 0]}, {name: 'B', code: 1}]], ['name', 'code']],
+            [[[{name: 'A', charter: true, code: 1}]], ['name', 'charter', 'application', 'code']],
+        ];
+        return Test.run(getAllFields, tests);
+    }
+
+    static getApplication() {
+        const tests = [
+            [[{charter: false}], 'SFUSD'],
+            [[{charter: true}], 'Apply directly'],
+        ];
+        return Test.run(getApplication, tests);
+    }
+
+    static getExportFields() {
+        const identity = ['prefix', 'name', 'suffix', 'campus', 'types', 'charter', 'application'];
+        const tests = [
+            [[{}], identity],
+            [[{distance: false, reading: true}], [...identity, 'reading']],
+            [[{gender: true, distance: true}], [...identity, 'distance', 'male', 'female']],
+        ];
+        return Test.run(getExportFields, tests);
+    }
+
+    static numberRanked() {
+        const getName = school => school.name;
+        const tests = [
+            [[[], getName], new Map()],
+            [[[rooftop, alamo, newTech], getName], new Map([['Rooftop', 1], ['Alamo', 2], ['New Tech', 3]])],
+            [[[gateway, alamo], getName], new Map([['Gateway', null], ['Alamo', 1]])],
+        ];
+        return Test.run(numberRanked, tests);
+    }
+
+    static pickSchoolFields() {
+        const tests = [
+            [[schools, ['name', 'distance', 'math']], [
+                {name: 'Lowell', distance: 1.23, math: null},
+                {name: 'Rooftop, "Mayeda"', distance: 2, math: null},
+            ]],
+            [[[{distance: Infinity}], ['distance']], [{distance: null}]],
+            [[[{anchorDistance: 2.345678, detour: 0.1234}], ['anchorDistance', 'detour']], [
+                {anchorDistance: 2.35, detour: 0.12},
+            ]],
+            [[[{charter: true}, {charter: false}], ['charter', 'application']], [
+                {charter: true, application: 'Apply directly'},
+                {charter: false, application: 'SFUSD'},
+            ]],
+        ];
+        return Test.run(pickSchoolFields, tests);
+    }
+
+    static schoolsToCSV() {
+        const csv = 'name,distance,reading,languages\r\n'
+            + 'Lowell,1.23,92,Chinese; Spanish\r\n'
+            + '"Rooftop, ""Mayeda""",2,,\r\n';
+        const tests = [
+            [[[], fields], 'name,distance,reading,languages\r\n'],
+            [[schools, fields], csv],
+        ];
+        return Test.run(schoolsToCSV, tests);
+    }
+
+    static schoolsToGeoJSON() {
+        const tests = [
+            [[[], fields], {type: 'FeatureCollection', features: []}],
+            [[schools.slice(0, 1), ['name']], {
+                type: 'FeatureCollection',
+                features: [{
+                    type: 'Feature',
+                    geometry: {type: 'Point', coordinates: [-122.4835, 37.7306]},
+                    properties: {name: 'Lowell'},
+                }],
+            }],
+            [[schools.slice(0, 1)], {
+                type: 'FeatureCollection',
+                features: [{
+                    type: 'Feature',
+                    geometry: {type: 'Point', coordinates: [-122.4835, 37.7306]},
+                    properties: {
+                        name: 'Lowell',
+                        types: ['High'],
+                        distance: 1.23,
+                        reading: 92,
+                        languages: ['Chinese', 'Spanish'],
+                    },
+                }],
+            }],
+            [[[{name: 'Gateway', charter: true, ll: [37.7826, -122.4375]}]], {
+                type: 'FeatureCollection',
+                features: [{
+                    type: 'Feature',
+                    geometry: {type: 'Point', coordinates: [-122.4375, 37.7826]},
+                    properties: {name: 'Gateway', charter: true, application: 'Apply directly'},
+                }],
+            }],
+        ];
+        return Test.run(schoolsToGeoJSON, tests);
+    }
+
+    static schoolsToJSON() {
+        const tests = [
+            [[[], fields], '[]'],
+            [[schools.slice(0, 1), ['name', 'reading']], '[\n  {\n    "name": "Lowell",\n    "reading": 92\n  }\n]'],
+        ];
+        return Test.run(schoolsToJSON, tests);
+    }
+}
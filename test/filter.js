@@ -0,0 +1,354 @@
+/**
+ * Unit tests for filtering functions
+ * @module test/filter
+ */
+
+import { copyFilters,
+         describeFilter,
+         filterCharter,
+         filterDetour,
+         filterGrade,
+         filterLanguage,
+         filterName,
+         filterNeighborhood,
+         filterSchedule,
+         filterSchool,
+         filterSchools,
+         filterStartTime,
+         filterTarget,
+         filterThreshold,
+         filterThresholds,
+         filterTravelTime,
+         filterType,
+         filterWithin,
+         findRelaxations,
+         getStartTimeRanges,
+         toArray } from '../public/filter.js';
+import Test from '../scripts/test.js';
+
+const lowell = {
+    prefix: '',
+    name: 'Lowell',
+    suffix: '',
+    campus: '',
+    types: ['High'],
+    charter: false,
+    start: '8:40',
+    neighborhood: 'Lakeshore',
+    pk: false,
+    tk: false,
+    k: false,
+    min: 9,
+    max: 12,
+    reading: 92,
+    languages: ['Chinese', 'Spanish Immersion'],
+    feedsInto: [],
+    distance: 0.5,
+    minutes: 4,
+    detour: null,
+};
+
+const rooftop = {
+    prefix: '',
+    name: 'Rooftop',
+    suffix: '',
+    campus: 'Mayeda',
+    types: ['Elementary', 'K-8'],
+    charter: false,
+    start: '9:30',
+    neighborhood: 'Twin Peaks',
+    pk: false,
+    tk: true,
+    k: true,
+    min: 1,
+    max: 8,
+    reading: 70,
+    languages: [],
+    feedsInto: ['Lowell'],
+    distance: 2,
+    minutes: 15,
+    detour: 0.4,
+};
+
+const gateway = {
+    prefix: '',
+    name: 'Gateway',
+    suffix: '',
+    campus: '',
+    types: ['Middle'],
+    charter: true,
+    start: '8:15',
+    neighborhood: 'Western Addition',
+    pk: false,
+    tk: false,
+    k: false,
+    min: null,
+    max: null,
+    reading: null,
+    languages: [],
+    feedsInto: [],
+    distance: Infinity,
+    minutes: null,
+    detour: null,
+};
+
+const schools = [lowell, rooftop, gateway];
+
+export default class FilterTest {
+    static copyFilters() {
+        const copied = copyFilters({grade: 'k', sort: 'name', mode: 'walk', minReading: '50'});
+        const tests = [
+            [['grade'], 'k'],
+            [['minReading'], '50'],
+            [['minMath'], undefined],
+            [['sort'], false],
+            [['mode'], false],
+        ];
+        const getCopiedFilter = name => (name in copied) && copied[name];
+        return Test.run(getCopiedFilter, tests);
+    }
+
+    static describeFilter() {
+        const tests = [
+            [['minReading', '50'], 'Min Reading % 50'],
+            [['charter', 'charter'], 'Charter Schools'],
+            [['charter', 'district'], 'District Schools'],
+            [['grade', 'k'], 'K'],
+            [['grade', '2'], '2nd Grade'],
+            [['start', ['7', '9']], 'Before 8:00 am or After 9:00 am'],
+            [['type', ['Elementary', 'K-8']], 'Elementary or K-8 School'],
+            [['within', '1'], 'Within 1 mile'],
+            [['within', '2'], 'Within 2 miles'],
+            [['name', '<b>'], 'Name "<b>"'], // Escaped when rendered
+            [['language', ['Spanish', 'Chinese']], 'Spanish or Chinese'],
+        ];
+        return Test.run(describeFilter, tests);
+    }
+
+    static filterCharter() {
+        const tests = [
+            [[gateway, ''], true],
+            [[gateway, 'charter'], true],
+            [[gateway, 'district'], false],
+            [[lowell, 'charter'], false],
+            [[lowell, 'district'], true],
+        ];
+        return Test.run(filterCharter, tests);
+    }
+
+    static filterDetour() {
+        const tests = [
+            [[rooftop, ''], true],
+            [[rooftop, '0.5'], true],
+            [[rooftop, '0.25'], false],
+            [[lowell, '0.5'], false], // No second address
+        ];
+        return Test.run(filterDetour, tests);
+    }
+
+    static filterGrade() {
+        const tests = [
+            [[rooftop, ''], true],
+            [[rooftop, 'k'], true],
+            [[rooftop, 'tk'], true],
+            [[rooftop, 'pk'], false],
+            [[rooftop, '8'], true],
+            [[rooftop, '9'], false],
+            [[lowell, '9'], true],
+            [[lowell, 'abc'], true],
+            [[gateway, '6'], false], // Unknown grade range
+        ];
+        return Test.run(filterGrade, tests);
+    }
+
+    static filterLanguage() {
+        const tests = [
+            [[lowell, []], true],
+            [[lowell, 'Chinese'], true],
+            [[lowell, ['Spanish']], true], // Matches Spanish Immersion
+            [[lowell, ['Filipino', 'Chinese']], true],
+            [[lowell, ['Filipino']], false],
+            [[rooftop, ['Chinese']], false],
+        ];
+        return Test.run(filterLanguage, tests);
+    }
+
+    static filterName() {
+        const tests = [
+            [[rooftop, ''], true],
+            [[rooftop, 'rooftop'], true],
+            [[rooftop, 'Roofop'], true], // Typo
+            [[rooftop, 'rooftop mayeda'], true],
+            [[rooftop, 'Lowell'], false],
+        ];
+        return Test.run(filterName, tests);
+    }
+
+    static filterNeighborhood() {
+        const tests = [
+            [[lowell, []], true],
+            [[lowell, ''], true],
+            [[lowell, 'Lakeshore'], true],
+            [[lowell, ['Outer Sunset', 'Lakeshore']], true],
+            [[lowell, ['Outer Sunset']], false],
+        ];
+        return Test.run(filterNeighborhood, tests);
+    }
+
+    static filterSchedule() {
+        const tests = [
+            [[lowell, {}], true],
+            [[lowell, {leave: '8:00'}], true],
+            [[lowell, {leave: '8:40'}], false],
+            [[lowell, {work: '9:00', commute: '30'}], false],
+            [[gateway, {leave: '8:00'}], true], // Unknown travel time
+        ];
+        return Test.run(filterSchedule, tests);
+    }
+
+    static filterSchool() {
+        const tests = [
+            [[lowell, {}], true],
+            [[lowell, {type: ['High'], grade: '9', within: '1'}], true],
+            [[lowell, {type: ['High'], grade: '9', within: '0.25'}], false],
+            [[lowell, {minReading: '95'}], false],
+            [[lowell, {leave: '8:40'}], false],
+        ];
+        return Test.run(filterSchool, tests);
+    }
+
+    static filterSchools() {
+        const tests = [
+            [[schools, {}], schools],
+            [[schools, {grade: 'k'}], [rooftop]],
+            [[schools, {grade: 'k', type: ['High']}], []],
+            [[schools, {grade: 'k', type: ['High']}, 'grade'], [lowell]],
+            [[schools, {charter: 'district', within: '1'}], [lowell]],
+        ];
+        return Test.run(filterSchools, tests);
+    }
+
+    static filterStartTime() {
+        const tests = [
+            [[lowell, []], true],
+            [[lowell, ['8']], true],
+            [[lowell, '8'], true],
+            [[lowell, ['7', '9']], false],
+            [[rooftop, ['9']], true],
+        ];
+        return Test.run(filterStartTime, tests);
+    }
+
+    static filterTarget() {
+        const tests = [
+            [[rooftop, []], true],
+            [[rooftop, ['Lowell']], true],
+            [[rooftop, 'Lowell'], true],
+            [[rooftop, ['Aptos']], false],
+        ];
+        return Test.run(filterTarget, tests);
+    }
+
+    static filterThreshold() {
+        const tests = [
+            [[40, '', true], true],
+            [[40, null, false], true],
+            [[40, 'abc', true], true],
+            [[40, '40', true], true],
+            [[40, '41', true], false],
+            [[40, 40, false], true],
+            [[40, '39.5', false], false],
+            [[null, '50', true], true],
+            [[null, '50', true, true], true],
+            [[null, '50', true, false], false],
+            [[undefined, '50', false, false], false],
+            [[null, '', true, false], true],
+        ];
+        return Test.run(filterThreshold, tests);
+    }
+
+    static filterThresholds() {
+        const school = {
+            greatschools: 7,
+            usnews: null,
+            reading: 55,
+            math: 48,
+            students: 400,
+        };
+        const tests = [
+            [[school, {}], true],
+            [[school, {minReading: '50', minMath: '45'}], true],
+            [[school, {minReading: '50', minMath: '50'}], false],
+            [[school, {minStudents: '300', maxStudents: '500'}], true],
+            [[school, {minStudents: '300', maxStudents: '350'}], false],
+            [[school, {maxUsnews: '100'}], true],
+            [[school, {maxUsnews: '100', nulls: ''}], true],
+            [[school, {maxUsnews: '100', nulls: 'hide'}], false],
+            [[school, {maxUsnews: '', nulls: 'hide'}], true],
+            [[school, {minGreatschools: '8', nulls: 'hide'}], false],
+        ];
+        return Test.run(filterThresholds, tests);
+    }
+
+    static filterTravelTime() {
+        const tests = [
+            [[rooftop, ''], true],
+            [[rooftop, '15'], true],
+            [[rooftop, '10'], false],
+            [[gateway, '10'], false], // Unknown travel time
+        ];
+        return Test.run(filterTravelTime, tests);
+    }
+
+    static filterType() {
+        const tests = [
+            [[rooftop, []], true],
+            [[rooftop, 'K-8'], true],
+            [[rooftop, ['Middle', 'K-8']], true],
+            [[rooftop, ['High']], false],
+        ];
+        return Test.run(filterType, tests);
+    }
+
+    static filterWithin() {
+        const tests = [
+            [[rooftop, ''], true],
+            [[rooftop, '2'], true],
+            [[rooftop, '1'], false],
+            [[gateway, '1'], false], // Unknown distance
+        ];
+        return Test.run(filterWithin, tests);
+    }
+
+    static findRelaxations() {
+        const tests = [
+            [[schools, {}], []],
+            // One filter hides every school.
+            [[schools, {minReading: '95'}], [['minReading', 3]]],
+            // Either filter could be removed, and removing charter shows more.
+            [[schools, {neighborhood: ['Lakeshore', 'Twin Peaks'], charter: 'charter'}], [['charter', 2], ['neighborhood', 1]]],
+            // Removing any one filter still hides every school.
+            [[schools, {charter: 'charter', grade: 'k', type: ['High']}], []],
+        ];
+        return Test.run(findRelaxations, tests);
+    }
+
+    static getStartTimeRanges() {
+        const tests = [
+            [[], new Map([[7, 'Before 8:00 am'], [8, '8:00-8:59 am'], [9, 'After 9:00 am']])],
+        ];
+        return Test.run(getStartTimeRanges, tests);
+    }
+
+    static toArray() {
+        const tests = [
+            [[null], []],
+            [[undefined], []],
+            [[''], []],
+            [['Spanish'], ['Spanish']],
+            [[8], ['8']],
+            [[['Spanish', 'Chinese']], ['Spanish', 'Chinese']],
+        ];
+        return Test.run(toArray, tests);
+    }
+}
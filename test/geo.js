@@ -3,19 +3,178 @@
  * @module test/geo
  */
 
-import { degreesToRadians,
+import { buildAddressIndex,
+         buildSpatialIndex,
+         buildStreetGraph,
+         degreesToRadians,
          expandCoords,
+         findAdjacentNeighborhoods,
+         findLargestComponent,
+         findNearest,
+         findNearestNode,
+         findNeighborhood,
+         findPathDistances,
+         findWithin,
+         flatDistance,
+         getBounds,
          getCoordsURL,
          getDirectionsURL,
+         getDistanceAlgorithms,
+         getEarthRadius,
+         getEllipsoid,
+         getMapSize,
          getMapURL,
+         haversine,
          howFar,
+         howFarByStreet,
+         isInPolygon,
+         isWithinBounds,
          latToMiles,
          latToMilesFactor,
          lonToMiles,
-         lonToMilesFactor } from '../public/geo.js';
+         lonToMilesFactor,
+         projectCoords,
+         vincenty } from '../public/geo.js';
 import Test from '../scripts/test.js';
 
+/**
+ * Convert miles to meters, rounded to the millimeter.
+ *
+ * @param {number} miles - Distance in miles
+ * @returns {number} Distance in meters
+ */
+function toMeters(miles) {
+    return Math.round(miles * 1609344) / 1000;
+}
+
+/**
+ * Convert a distance function's miles to meters, rounded to the millimeter.
+ *
+ * @param {Function} func - A distance function, e.g. vincenty
+ * @returns {Function} A distance function, returning meters, e.g. vincentyInMeters
+ */
+function inMeters(func) {
+    const wrapper = (...args) => toMeters(func(...args));
+    return Object.defineProperty(wrapper, 'name', {value: `${func.name}InMeters`});
+}
+
+/**
+ * Convert a distance function's miles to its error, compared with Vincenty's
+ * formula, rounded to a hundredth of a percent.
+ *
+ * @param {Function} func - A distance function, e.g. flatDistance
+ * @returns {Function} A distance function, returning percent error, e.g. flatDistanceInPercentError
+ */
+function inPercentError(func) {
+    const wrapper = (a, b) => Math.round((func(a, b) / vincenty(a, b) - 1) * 10000) / 100;
+    return Object.defineProperty(wrapper, 'name', {value: `${func.name}InPercentError`});
+}
+
+// Published reference distances, from Vincenty (1975) and the WGS 84 ellipsoid
+const flindersPeak = [-(37 + 57 / 60 + 3.72030 / 3600), 144 + 25 / 60 + 29.52440 / 3600];
+const buninyong = [-(37 + 39 / 60 + 10.15610 / 3600), 143 + 55 / 60 + 35.38390 / 3600];
+
+// Routes across San Francisco
+const southwest = [37.708, -122.5144];
+const northeast = [37.8318, -122.3621];
+const south = [37.708, -122.45];
+const north = [37.8318, -122.45];
+const west = [37.77, -122.5144];
+const east = [37.77, -122.3621];
+const lowell = [37.7306, -122.4835];
+const rooftop = [37.7317, -122.4525];
+
+// Two streets that meet at a corner, and an island
+const addresses = {
+    'A ST': {1: [7700, 4500], 3: [7710, 4500], 5: [7720, 4500]},
+    'B ST': {2: [7722, 4502], 4: [7722, 4512]},
+    'C ST': {1: [78, 4], 3: [7801, 4]},
+};
+const graph = buildStreetGraph(addresses);
+const index = buildSpatialIndex([
+    [37.77, -122.45],
+    [37.771, -122.45],
+    [37.7722, -122.4512],
+    [37.78, -122.4],
+]);
+
+// Two squares side by side, and a third touching one of them at a corner
+const neighborhoods = {
+    'West': [[0, 0], [1, 0], [1, 1], [0, 1]],
+    'East': [[0, 1], [1, 1], [1, 2], [0, 2]],
+    'Corner': [[1, 2], [2, 2], [2, 3], [1, 3]],
+};
+
+// An L shape, with a notch at the top right
+const ell = [[0, 0], [0, 2], [1, 2], [1, 1], [2, 1], [2, 0]];
+
 export default class GeoTest {
+    static buildAddressIndex() {
+        const tests = [
+            [[{}], [[], []]],
+            [[addresses], [
+                [
+                    [37.77, -122.45],
+                    [37.771, -122.45],
+                    [37.772, -122.45],
+                    [37.7722, -122.4502],
+                    [37.7722, -122.4512],
+                    [37.78, -122.4],
+                    [37.7801, -122.4],
+                ],
+                ['1 A ST', '3 A ST', '5 A ST', '2 B ST', '4 B ST', '1 C ST', '3 C ST'],
+            ]],
+        ];
+        const buildAddressIndexParts = data => {
+            const {points, items} = buildAddressIndex(data);
+            return [points, items];
+        };
+        return Test.run(buildAddressIndexParts, tests);
+    }
+
+    static buildSpatialIndex() {
+        const tests = [
+            [[[]], [new Map(), 0]],
+            [[[['37.77', '-122.45'], [37.7701, -122.4499], [37.78, -122.45]]], [
+                new Map([['37770,-122450', [0, 1]], ['37780,-122450', [2]]]),
+                11,
+            ]],
+            [[[[37.77, -122.45], [37.78, -122.45]], ['a', 'b'], 0.01], [
+                new Map([['3777,-12245', [0]], ['3778,-12245', [1]]]),
+                2,
+            ]],
+        ];
+        const buildSpatialIndexParts = (...args) => {
+            const {cells, span} = buildSpatialIndex(...args);
+            return [cells, span];
+        };
+        return Test.run(buildSpatialIndexParts, tests);
+    }
+
+    static buildStreetGraph() {
+        const tests = [
+            [[{}], [[], []]],
+            [[addresses], [
+                [
+                    [37.77, -122.45],
+                    [37.771, -122.45],
+                    [37.772, -122.45],
+                    [37.7722, -122.4502],
+                    [37.7722, -122.4512],
+                    [37.78, -122.4],
+                    [37.7801, -122.4],
+                ],
+                // A ST, then B ST, connected at the corner, then C ST
+                [[1], [0, 2], [1, 3], [4, 2], [3], [6], [5]],
+            ]],
+        ];
+        const buildStreetGraphParts = data => {
+            const {nodes, edges} = buildStreetGraph(data);
+            return [nodes, edges.map(neighbors => neighbors.map(([j]) => j))];
+        };
+        return Test.run(buildStreetGraphParts, tests);
+    }
+
     static degreesToRadians() {
         const tests = [
             [[], NaN],
@@ -33,6 +192,13 @@ export default class GeoTest {
         return Test.run(expandCoords, tests);
     }
 
+    static getBounds() {
+        const tests = [
+            [[], {north: 37.8318, south: 37.708, east: -122.3621, west: -122.5144}],
+        ];
+        return Test.run(getBounds, tests);
+    }
+
     static getCoordsURL() {
         const tests = [
             [[], ''],
@@ -50,6 +216,138 @@ export default class GeoTest {
         return Test.run(getDirectionsURL, tests);
     }
 
+    static findAdjacentNeighborhoods() {
+        const tests = [
+            [[neighborhoods, 'West'], ['East']],
+            [[neighborhoods, 'East'], ['West']],
+            [[neighborhoods, 'Corner'], []], // Touching at a corner isn't enough.
+            [[neighborhoods, 'Nowhere'], []],
+        ];
+        return Test.run(findAdjacentNeighborhoods, tests);
+    }
+
+    static findLargestComponent() {
+        const tests = [
+            [[[]], new Set()],
+            [[graph.edges], new Set([0, 1, 2, 3, 4])],
+        ];
+        return Test.run(findLargestComponent, tests);
+    }
+
+    static findNearest() {
+        const tests = [
+            [[index, null], null],
+            [[buildSpatialIndex([]), [37.77, -122.45]], null],
+            [[index, [37.77, -122.45]], [0, 0]],
+            [[index, [37.7704, -122.4501]], [0, 45.277]],
+            [[index, ['37.7707', '-122.4501']], [1, 34.45]],
+            [[index, [37.7704, -122.4501], 0.01], null],
+            [[index, [37.79, -122.39]], [3, 1415.373]],
+            [[index, [0, 0]], null], // Farther than the width of the grid
+        ];
+        const findNearestInMeters = (...args) => {
+            const nearest = findNearest(...args);
+            return nearest && [nearest[0], toMeters(nearest[1])];
+        };
+        return Test.run(findNearestInMeters, tests);
+    }
+
+    static findNearestNode() {
+        const tests = [
+            [[graph, null], null],
+            [[graph, [37.7711, -122.4501]], [1, 14.155]],
+            [[graph, ['37.7722', '-122.4512']], [4, 0]],
+            [[graph, [37.78, -122.4]], null], // Not connected to A ST
+        ];
+        const findNearestNodeInMeters = (...args) => {
+            const nearest = findNearestNode(...args);
+            return nearest && [nearest[0], toMeters(nearest[1])];
+        };
+        return Test.run(findNearestNodeInMeters, tests);
+    }
+
+    static findNeighborhood() {
+        const tests = [
+            [[neighborhoods, null], null],
+            [[neighborhoods, [0.5, 0.5]], 'West'],
+            [[neighborhoods, ['0.5', '1.5']], 'East'],
+            [[neighborhoods, [1.5, 2.5]], 'Corner'],
+            [[neighborhoods, [1.5, 0.5]], null],
+            [[{}, [0.5, 0.5]], null],
+        ];
+        return Test.run(findNeighborhood, tests);
+    }
+
+    static findPathDistances() {
+        const tests = [
+            [[graph, 0], [0, 111.045, 222.089, 250.399, 338.174, Infinity, Infinity]],
+            [[graph, 4], [338.174, 227.13, 116.085, 87.776, 0, Infinity, Infinity]],
+            [[graph, 0, 1], [0, 111.045, Infinity, Infinity, Infinity, Infinity, Infinity]],
+        ];
+        const findPathDistancesInMeters = (...args) => [...findPathDistances(...args)].map(toMeters);
+        return Test.run(findPathDistancesInMeters, tests);
+    }
+
+    static findWithin() {
+        const tests = [
+            [[index, null, 1], []],
+            [[buildSpatialIndex([]), [37.77, -122.45], 1], []],
+            [[index, [37.7704, -122.4501], 0.01], []],
+            [[index, [37.7704, -122.4501], 0.05], [[0, 45.277], [1, 67.203]]],
+            [[index, [37.7704, -122.4501], 1], [[0, 45.277], [1, 67.203], [2, 221.98]]],
+        ];
+        const findWithinInMeters = (...args) => findWithin(...args).map(([i, miles]) => {
+            return [i, toMeters(miles)];
+        });
+        return Test.run(findWithinInMeters, tests);
+    }
+
+    static flatDistance() {
+        const tests = [
+            [[[0, 0], [0, 0]], 0],
+            [[[0, 0], [0, 1]], 69],
+        ];
+        const errors = [
+            [[southwest, northeast], -0.16],
+            [[south, north], 0.05],
+            [[west, east], -0.37],
+            [[lowell, rooftop], -0.37],
+        ];
+        return Test.run(flatDistance, tests)
+            + Test.run(inPercentError(flatDistance), errors);
+    }
+
+    static getDistanceAlgorithms() {
+        const tests = [
+            [[], ['flat', 'haversine', 'vincenty']],
+        ];
+        const getDistanceAlgorithmNames = () => [...getDistanceAlgorithms().keys()];
+        return Test.run(getDistanceAlgorithmNames, tests);
+    }
+
+    static getEarthRadius() {
+        const tests = [
+            [[], 6371008.8],
+        ];
+        return Test.run(inMeters(getEarthRadius), tests);
+    }
+
+    static getEllipsoid() {
+        const tests = [
+            [[], 6378137],
+        ];
+        const getEllipsoidRadius = () => getEllipsoid().radius;
+        return Test.run(inMeters(getEllipsoidRadius), tests);
+    }
+
+    static getMapSize() {
+        const tests = [
+            [[{north: 1, south: -1, east: 1, west: -1}, 100], [100, 100]],
+            [[{north: 1, south: -1, east: 2, west: -2}, 100], [100, 50]],
+        ];
+        return Test.run(getMapSize, tests);
+    }
+
     static getMapURL() {
         const prefix = 'https://www.google.com/maps/search/';
         const tests = [
@@ -73,6 +371,74 @@ export default class GeoTest {
         return Test.run(howFar, tests);
     }
 
+    static haversine() {
+        const tests = [
+            [[[0, 0], [0, 0]], 0],
+            [[[0, 0], [0, 1]], 111195.08], // 1° of longitude at the equator, on a sphere
+            [[[0, 0], [0, 180]], 20015114.442], // Half way around the world
+            [[flindersPeak, buninyong], 54925.508],
+        ];
+        const errors = [
+            [[southwest, northeast], -0.02],
+            [[south, north], 0.18],
+            [[west, east], -0.24],
+            [[lowell, rooftop], -0.24],
+        ];
+        return Test.run(inMeters(haversine), tests)
+            + Test.run(inPercentError(haversine), errors);
+    }
+
+    static howFarByStreet() {
+        const tests = [
+            [[graph, null, ['37.77', '-122.45']], Infinity],
+            [[graph, ['37.77', '-122.45'], ['37.7722', '-122.4512']], 338.174],
+            [[graph, [37.7701, -122.4501], [37.7722, -122.4512]], 352.329],
+            [[graph, ['37.77', '-122.45'], ['37.78', '-122.4']], Infinity],
+        ];
+        return Test.run(inMeters(howFarByStreet), tests);
+    }
+
+    static howFarAlgorithms() {
+        const tests = [
+            [[null, [0, 0], 'vincenty'], Infinity],
+            [[[0, 0], [0, 1], 'flat'], 111044.736],
+            [[[0, 0], [0, 1], 'haversine'], 111195.08],
+            [[[0, 0], [0, 1], 'vincenty'], 111319.491],
+        ];
+        return Test.run(inMeters(howFar), tests);
+    }
+
+    static isInPolygon() {
+        const tests = [
+            [[null, ell], false],
+            [[[0.5, 0.5], ell], true],
+            [[[0.5, 1.5], ell], true],
+            [[[1.5, 0.5], ell], true],
+            [[['1.5', '0.5'], ell], true],
+            [[[1.5, 1.5], ell], false], // In the notch
+            [[[3, 3], ell], false],
+            [[[-1, 0.5], ell], false],
+            [[[0.5, 0.5], []], false],
+        ];
+        return Test.run(isInPolygon, tests);
+    }
+
+    static isWithinBounds() {
+        const bounds = {north: 1, south: -1, east: 1, west: -1};
+        const tests = [
+            [[null], false],
+            [[[37.7793, -122.4193]], true], // City Hall
+            [[['37.7793', '-122.4193']], true],
+            [[[37.8318, -122.3621]], true],
+            [[[37.7749, -122.5200]], false], // Ocean Beach, in the ocean
+            [[[37.6879, -122.4702]], false], // Daly City
+            [[[37.8044, -122.2712]], false], // Oakland
+            [[[0, 0], bounds], true],
+            [[[0, 2], bounds], false],
+        ];
+        return Test.run(isWithinBounds, tests);
+    }
+
     static latToMiles() {
         const tests = [
             [[1], 69],
@@ -100,4 +466,26 @@ export default class GeoTest {
         ];
         return Test.run(lonToMilesFactor, tests);
     }
+
+    static projectCoords() {
+        const bounds = {north: 1, south: -1, east: 1, west: -1};
+        const tests = [
+            [[[1, -1], bounds, 100], [0, 0]],
+            [[[0, 0], bounds, 100], [50, 50]],
+            [[[-1, 1], bounds, 100], [100, 100]],
+            [[[-0.5, 0.5], bounds, 200], [150, 150]],
+        ];
+        return Test.run(projectCoords, tests);
+    }
+
+    static vincenty() {
+        const tests = [
+            [[[0, 0], [0, 0]], 0],
+            [[[0, 0], [0, 1]], 111319.491], // 1° of longitude at the equator
+            [[[0, 0], [1, 0]], 110574.389], // 1° of latitude, just north of the equator
+            [[[0, 0], [90, 0]], 10001965.729], // Equator to North Pole
+            [[flindersPeak, buninyong], 54972.271],
+        ];
+        return Test.run(inMeters(vincenty), tests);
+    }
 }
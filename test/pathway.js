@@ -0,0 +1,83 @@
+/**
+ * Unit tests for feeder pathway functions
+ * @module test/pathway
+ */
+
+import { buildFeederTree,
+         buildPathway,
+         findFeeders,
+         findPathwaySchools,
+         findTargets } from '../public/pathway.js';
+import Test from '../scripts/test.js';
+
+const alamo = {name: 'Alamo', max: 5, feedsInto: ['Presidio']};
+const lafayette = {name: 'Lafayette', max: 5, feedsInto: ['Presidio', 'Giannini']};
+const twinPeaks = {name: 'Rooftop', max: 4, feedsInto: ['Rooftop']};
+const mayeda = {name: 'Rooftop', max: 8, feedsInto: []};
+const presidio = {name: 'Presidio', max: 8, feedsInto: []};
+const giannini = {name: 'Giannini', max: 8, feedsInto: []};
+const lowell = {name: 'Lowell', max: 12, feedsInto: []};
+const schools = [alamo, lafayette, twinPeaks, mayeda, presidio, giannini, lowell];
+
+export default class PathwayTest {
+    static buildFeederTree() {
+        const tests = [
+            [[schools, lowell], {school: lowell, children: []}],
+            [[schools, presidio], {school: presidio, children: [
+                {school: alamo, children: []},
+                {school: lafayette, children: []},
+            ]}],
+        ];
+        return Test.run(buildFeederTree, tests);
+    }
+
+    static buildPathway() {
+        const a = {name: 'A', max: 5, feedsInto: ['B']};
+        const b = {name: 'B', max: 8, feedsInto: ['C']};
+        const c = {name: 'C', max: 12, feedsInto: []};
+        const tests = [
+            [[schools, presidio], {school: presidio, children: []}],
+            [[schools, lafayette], {school: lafayette, children: [
+                {school: presidio, children: []},
+                {school: giannini, children: []},
+            ]}],
+            [[[a, b, c], a], {school: a, children: [
+                {school: b, children: [{school: c, children: []}]},
+            ]}],
+            [[[a, b, c], c, findFeeders], {school: c, children: [
+                {school: b, children: [{school: a, children: []}]},
+            ]}],
+        ];
+        return Test.run(buildPathway, tests);
+    }
+
+    static findFeeders() {
+        const tests = [
+            [[schools, alamo], []],
+            [[schools, giannini], [lafayette]],
+            [[schools, mayeda], [twinPeaks]],
+            [[schools, twinPeaks], []],
+        ];
+        return Test.run(findFeeders, tests);
+    }
+
+    static findPathwaySchools() {
+        const tests = [
+            [[[]], []],
+            [[[lowell, presidio]], []],
+            [[schools], [alamo, lafayette, twinPeaks, mayeda, presidio, giannini]],
+        ];
+        return Test.run(findPathwaySchools, tests);
+    }
+
+    static findTargets() {
+        const tests = [
+            [[schools, lowell], []],
+            [[schools, alamo], [presidio]],
+            [[schools, lafayette], [presidio, giannini]],
+            [[schools, twinPeaks], [mayeda]],
+            [[[alamo], alamo], []],
+        ];
+        return Test.run(findTargets, tests);
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for planning mornings with more than one child
+ * @module test/planner
+ */
+
+import { comparePlans,
+         getMaxChildren,
+         planMorning,
+         planMornings } from '../public/planner.js';
+import Test from '../scripts/test.js';
+
+// One degree of latitude is about 69 miles, so 0.01 degrees is about 0.69 miles.
+const home = [37.75, -122.45];
+const alamo = {name: 'Alamo', start: '7:50', ll: [37.76, -122.45]};
+const lowell = {name: 'Lowell', start: '8:40', ll: [37.76, -122.45]};
+const lincoln = {name: 'Lincoln', start: '7:50', ll: [37.78, -122.45]};
+const presidio = {name: 'Presidio', start: '8:00', ll: [37.79, -122.45]};
+
+// Travel at one minute per mile, to keep the numbers simple.
+const minutesFor = miles => miles;
+
+const round = plan => ({
+    ...plan,
+    miles: Math.round(plan.miles * 100) / 100,
+    minutes: Math.round(plan.minutes * 100) / 100,
+});
+
+export default class PlannerTest {
+    static comparePlans() {
+        const plan = (feasible, minutes, miles) => ({feasible, minutes, miles});
+        const tests = [
+            [[plan(true, 60, 5), plan(false, 10, 1)], -1],
+            [[plan(false, 10, 1), plan(true, 60, 5)], 1],
+            [[plan(true, 20, 5), plan(true, 30, 1)], -10],
+            [[plan(true, 30, 1), plan(true, 30, 3)], -2],
+        ];
+        return Test.run(comparePlans, tests);
+    }
+
+    static getMaxChildren() {
+        return Test.run(getMaxChildren, [[[], 3]]);
+    }
+
+    static planMorning() {
+        const planRounded = (...args) => round(planMorning(...args));
+        const tests = [
+            [[null, [], minutesFor], {
+                schools: [], route: [], miles: 0, gaps: [], minutes: 0, feasible: true,
+            }],
+            [[home, [alamo, alamo], minutesFor], {
+                schools: [alamo, alamo], route: [alamo],
+                miles: 0.69, gaps: [], minutes: 0.69, feasible: true,
+            }],
+            [[home, [lowell, alamo], minutesFor], {
+                schools: [lowell, alamo], route: [alamo, lowell],
+                miles: 0.69, gaps: [50], minutes: 50.69, feasible: true,
+            }],
+            [[null, [lowell, alamo], minutesFor], {
+                schools: [lowell, alamo], route: [alamo, lowell],
+                miles: 0, gaps: [50], minutes: 50, feasible: true,
+            }],
+            [[home, [presidio, lincoln], minutesFor], {
+                schools: [presidio, lincoln], route: [lincoln, presidio],
+                miles: 2.76, gaps: [10], minutes: 12.07, feasible: true,
+            }],
+            [[home, [presidio, lincoln], miles => miles * 20], {
+                schools: [presidio, lincoln], route: [lincoln, presidio],
+                miles: 2.76, gaps: [10], minutes: 51.4, feasible: false,
+            }],
+        ];
+        return Test.run(planRounded, tests);
+    }
+
+    static planMornings() {
+        const planRounded = (...args) => planMornings(...args).map(round);
+        const tests = [
+            [[home, [], 5, minutesFor], []],
+            [[home, [[alamo, lincoln], []], 5, minutesFor], []],
+            [[home, [[alamo, lincoln], [lowell, presidio]], 3, miles => miles * 5], [
+                {
+                    schools: [lincoln, presidio], route: [lincoln, presidio],
+                    miles: 2.76, gaps: [10], minutes: 20.35, feasible: true,
+                },
+                {
+                    schools: [alamo, lowell], route: [alamo, lowell],
+                    miles: 0.69, gaps: [50], minutes: 53.45, feasible: true,
+                },
+                {
+                    schools: [lincoln, lowell], route: [lincoln, lowell],
+                    miles: 3.45, gaps: [50], minutes: 60.35, feasible: true,
+                },
+            ]],
+            [[home, [[alamo], [presidio]], 3, miles => miles * 5], [
+                {
+                    schools: [alamo, presidio], route: [alamo, presidio],
+                    miles: 2.76, gaps: [10], minutes: 13.45, feasible: false,
+                },
+            ]],
+        ];
+        return Test.run(planRounded, tests);
+    }
+}
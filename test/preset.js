@@ -0,0 +1,97 @@
+/**
+ * Unit tests for saved search functions
+ * @module test/preset
+ */
+
+import { deletePreset,
+         loadPreset,
+         makePreset,
+         renamePreset,
+         savePreset } from '../public/preset.js';
+import Test from '../scripts/test.js';
+
+const near = {
+    name: 'K Near Home',
+    address: '2995 Sloat Blvd',
+    anchor: '',
+    menus: {sort: 'distance', grade: 'k', type: []},
+    columns: {code: false},
+};
+const middle = {
+    name: 'Middle Schools',
+    address: '',
+    anchor: '',
+    menus: {sort: 'name', grade: '6', type: ['Middle']},
+    columns: {code: true},
+};
+
+export default class PresetTest {
+    static deletePreset() {
+        const tests = [
+            [[[], 'K Near Home'], []],
+            [[[near, middle], 'K Near Home'], [middle]],
+            [[[near, middle], 'Nope'], [near, middle]],
+        ];
+        return Test.run(deletePreset, tests);
+    }
+
+    static loadPreset() {
+        const defaults = {
+            address: '',
+            anchor: '',
+            menus: {sort: 'name', grade: '', type: [], nulls: ''},
+            columns: {code: false, gender: false},
+        };
+        const tests = [
+            [[middle, defaults], {
+                address: '',
+                anchor: '',
+                menus: {sort: 'name', grade: '6', type: ['Middle'], nulls: ''},
+                columns: {code: true, gender: false},
+            }],
+            [[{name: 'Old', address: 'x', menus: {}}, defaults], {
+                address: 'x',
+                anchor: '',
+                menus: {sort: 'name', grade: '', type: [], nulls: ''},
+                columns: {code: false, gender: false},
+            }],
+        ];
+        return Test.run(loadPreset, tests);
+    }
+
+    static makePreset() {
+        const inputs = {
+            address: '2995 Sloat Blvd',
+            menus: {sort: 'distance', grade: 'k', type: []},
+            columns: {code: false},
+            weights: {distance: 1},
+            ranked: ['abc'],
+        };
+        const tests = [
+            [['K Near Home', inputs], near],
+        ];
+        return Test.run(makePreset, tests);
+    }
+
+    static renamePreset() {
+        const renamed = {...near, name: 'Kindergarten'};
+        const tests = [
+            [[[near, middle], 'K Near Home', 'Kindergarten'], [renamed, middle]],
+            [[[near, middle], 'K Near Home', 'K Near Home'], [near, middle]],
+            [[[near, middle], 'K Near Home', 'Middle Schools'], null],
+            [[[near, middle], 'K Near Home', ''], null],
+            [[[near, middle], 'Nope', 'Kindergarten'], null],
+        ];
+        return Test.run(renamePreset, tests);
+    }
+
+    static savePreset() {
+        const updated = {...near, menus: {sort: 'name', grade: 'k', type: []}};
+        const tests = [
+            [[[], near], [near]],
+            [[[near], middle], [near, middle]],
+            [[[near, middle], updated], [updated, middle]],
+        ];
+        return Test.run(savePreset, tests);
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for scoring functions
+ * @module test/score
+ */
+
+import { findRange, normalize, scoreSchools } from '../public/score.js';
+import Test from '../scripts/test.js';
+
+export default class ScoreTest {
+    static findRange() {
+        const tests = [
+            [[[], 'math'], null],
+            [[[{math: null}], 'math'], null],
+            [[[{distance: Infinity}], 'distance'], null],
+            [[[{math: 5}, {math: null}, {math: 20}], 'math'], [5, 20]],
+        ];
+        return Test.run(findRange, tests);
+    }
+
+    static normalize() {
+        const tests = [
+            [[null, [0, 10], true], 0],
+            [[Infinity, [0, 10], false], 0],
+            [[5, [5, 5], true], 1],
+            [[5, [0, 10], true], 0.5],
+            [[8, [0, 10], true], 0.8],
+            [[2, [0, 10], false], 0.8],
+        ];
+        return Test.run(normalize, tests);
+    }
+
+    static scoreSchools() {
+        const schools = () => [
+            {reading: 40, distance: 1, greatschools: null},
+            {reading: 20, distance: 3, greatschools: 5},
+        ];
+        const tests = [
+            [[schools(), {}], [
+                {reading: 40, distance: 1, greatschools: null, score: null},
+                {reading: 20, distance: 3, greatschools: 5, score: null},
+            ]],
+            [[schools(), {reading: 1}], [
+                {reading: 40, distance: 1, greatschools: null, score: 100},
+                {reading: 20, distance: 3, greatschools: 5, score: 0},
+            ]],
+            [[schools(), {reading: 1, distance: 3}], [
+                {reading: 40, distance: 1, greatschools: null, score: 100},
+                {reading: 20, distance: 3, greatschools: 5, score: 0},
+            ]],
+            [[schools(), {reading: 1, greatschools: 1}], [
+                {reading: 40, distance: 1, greatschools: null, score: 50},
+                {reading: 20, distance: 3, greatschools: 5, score: 50},
+            ]],
+        ];
+        return Test.run(scoreSchools, tests);
+    }
+}
@@ -3,7 +3,10 @@
  * @module test/sort
  */
 
-import { sortSchools } from '../public/sort.js';
+import { formatSortSpec,
+         parseSortSpec,
+         sortSchools,
+         toggleSortKey } from '../public/sort.js';
 import Test from '../scripts/test.js';
 
 const schools = [
@@ -39,7 +42,50 @@ const schools = [
 
 const reversed = [schools[1], schools[0]];
 
+const nearby = [
+    {name: 'A', distance: 1, greatschools: 3},
+    {name: 'B', distance: 1, greatschools: 5},
+    {name: 'C', distance: 2, greatschools: null},
+    {name: 'D', distance: 2, greatschools: 4},
+];
+
 export default class SortTest {
+    static formatSortSpec() {
+        const tests = [
+            [[[]], ''],
+            [[[{field: 'name', order: 'asc'}]], 'name:asc'],
+            [[[{field: 'distance', order: 'asc'}, {field: 'math', order: 'desc'}]], 'distance:asc,math:desc'],
+        ];
+        return Test.run(formatSortSpec, tests);
+    }
+
+    static parseSortSpec() {
+        const tests = [
+            [[], [{field: 'name', order: 'asc'}]],
+            [[''], [{field: 'name', order: 'asc'}]],
+            [['bogus'], [{field: 'name', order: 'asc'}]],
+            [['greatschools'], [{field: 'greatschools', order: 'desc'}]],
+            [['greatschools:asc'], [{field: 'greatschools', order: 'asc'}]],
+            [['score'], [{field: 'score', order: 'desc'}]],
+            [['distance,greatschools:sideways'], [{field: 'distance', order: 'asc'}, {field: 'greatschools', order: 'desc'}]],
+            [['math,math:asc'], [{field: 'math', order: 'desc'}]],
+            [['math,reading,science,graduated'], [{field: 'math', order: 'desc'}, {field: 'reading', order: 'desc'}, {field: 'science', order: 'desc'}]],
+        ];
+        return Test.run(parseSortSpec, tests);
+    }
+
+    static sortMultiple() {
+        const copy = Array.from(nearby);
+        const [a, b, c, d] = nearby;
+        const tests = [
+            [[copy, 'distance'], [a, b, c, d]],
+            [[copy, 'distance,greatschools'], [b, a, d, c]],
+            [[copy, 'distance:desc,greatschools:asc'], [d, c, a, b]],
+            [[copy, 'greatschools:asc'], [a, d, b, c]],
+        ];
+        return Test.run(sortSchools, tests);
+    }
+
     static sortSchools() {
         const copy = Array.from(schools);
         const tests = [
@@ -60,4 +106,30 @@ export default class SortTest {
         ];
         return Test.run(sortSchools, tests);
     }
+
+    static sortTies() {
+        const commute = [
+            {name: 'B', minutes: 10, distance: 1},
+            {name: 'A', minutes: 10, distance: 1},
+            {name: 'C', minutes: 10, distance: 0.5},
+        ];
+        const [b, a, c] = commute;
+        const tests = [
+            [[Array.from(commute), 'minutes'], [c, a, b]],
+        ];
+        return Test.run(sortSchools, tests);
+    }
+
+    static toggleSortKey() {
+        const tests = [
+            [['', 'name'], 'name:desc'],
+            [['name', 'distance'], 'distance:asc'],
+            [['distance:asc', 'distance'], 'distance:desc'],
+            [['distance,math', 'distance'], 'distance:asc'],
+            [['distance', 'greatschools', true], 'distance:asc,greatschools:desc'],
+            [['distance,greatschools', 'greatschools', true], 'distance:asc,greatschools:asc'],
+            [['distance,greatschools,math', 'reading', true], 'distance:asc,greatschools:desc,math:desc'],
+        ];
+        return Test.run(toggleSortKey, tests);
+    }
 }
@@ -7,6 +7,10 @@ import { capitalize,
          capitalizeWords,
          compressWhitespace,
          encodeURLParam,
+         escapeHTML,
+         formatOrdinal,
+         fuzzyIncludes,
+         normalizeSearch,
          removeAccents,
          removePunctuation } from '../public/string.js';
 import Test from '../scripts/test.js';
@@ -45,6 +49,57 @@ export default class CommonTest {
         return Test.run(encodeURLParam, tests);
     }
 
+    static escapeHTML() {
+        const tests = [
+            [[''], ''],
+            [['Lowell'], 'Lowell'],
+            [['<b>"Tom" & \'Jerry\'</b>'], '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;'],
+        ];
+        return Test.run(escapeHTML, tests);
+    }
+
+    static formatOrdinal() {
+        const tests = [
+            [[1], '1st'],
+            [[2], '2nd'],
+            [[3], '3rd'],
+            [[4], '4th'],
+            [[11], '11th'],
+            [[12], '12th'],
+            [[13], '13th'],
+            [[21], '21st'],
+            [[100], '100th'],
+        ];
+        return Test.run(formatOrdinal, tests);
+    }
+
+    static fuzzyIncludes() {
+        const tests = [
+            [['giannini', ''], true],
+            [['giannini', 'giannini'], true],
+            [['giannini', 'gianini'], true],
+            [['a p giannini', 'gianinni'], true],
+            [['giannini', 'gianni'], true],
+            [['giannini', 'ginni'], true],
+            [['giannini', 'lowe'], false],
+            [['lowell', 'lowel'], true],
+            [['lowell', 'lincoln'], false],
+            [['drew', 'dre'], true],
+            [['drew', 'drw'], false],
+            [['drew', 'drw', 1], true],
+            [['', 'x'], false],
+        ];
+        return Test.run(fuzzyIncludes, tests);
+    }
+
+    static normalizeSearch() {
+        const tests = [
+            [['  Dr. Charles R. Drew '], 'dr charles r drew'],
+            [['César Chávez'], 'cesar chavez'],
+        ];
+        return Test.run(normalizeSearch, tests);
+    }
+
     static removeAccents() {
         const tests = [
             [['César Chávez'], 'Cesar Chavez'],
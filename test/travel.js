@@ -0,0 +1,79 @@
+/**
+ * Unit tests for travel time and schedule functions
+ * @module test/travel
+ */
+
+import { estimateMinutes,
+         findSlack,
+         findTravelMinutes,
+         getDefaultSpeeds,
+         parseTime } from '../public/travel.js';
+import Test from '../scripts/test.js';
+
+export default class TravelTest {
+    static estimateMinutes() {
+        const tests = [
+            [[0], 0],
+            [[1], 5],
+            [[3, 6], 30],
+            [[Infinity], Infinity],
+            [[NaN], Infinity],
+            [[1, 0], Infinity],
+            [[1, 12, 1.5], 7.5],
+        ];
+        return Test.run(estimateMinutes, tests);
+    }
+
+    static findSlack() {
+        const tests = [
+            [['8:40', 10, {}], null],
+            [['', 10, {leave: '8:00'}], null],
+            [['8:40', 10, {leave: '8:00'}], 30],
+            [['8:40', Infinity, {leave: '8:00'}], null],
+            [['8:40', 10, {leave: '8:35'}], -5],
+            [['8:40', 10, {work: '9:30'}], 50],
+            [['8:40', 10, {work: '9:30', commute: '30'}], 20],
+            [['8:40', 10, {work: '9:30', commute: ''}], 50],
+            [['8:40', 10, {leave: '8:00', work: '9:30', commute: '30'}], 20],
+            [['9:30', 10, {leave: '8:00', work: '9:30', commute: '30'}], -30],
+            [['7:50', 12.5, {leave: '07:30', work: '17:00'}], 7],
+        ];
+        return Test.run(findSlack, tests);
+    }
+
+    static findTravelMinutes() {
+        const tests = [
+            [[Infinity, 'walk'], Infinity],
+            [[1, 'walk'], 26],
+            [[1, 'walk', {walk: 2, detour: 1}], 30],
+            [[1, 'walk', {walk: 0, detour: 0}], 26],
+            [[1.5, 'bike', {bike: 12, detour: 2}], 15],
+            [[1, 'drive', {detour: 1}], 4],
+            [[1, '', {drive: 20, detour: 1}], 3],
+            [[1, 'teleport', {detour: 1}], 4],
+        ];
+        return Test.run(findTravelMinutes, tests);
+    }
+
+    static getDefaultSpeeds() {
+        const tests = [
+            [[], {walk: 3, bike: 9, drive: 15, muni: 7, detour: 1.3}],
+        ];
+        return Test.run(getDefaultSpeeds, tests);
+    }
+
+    static parseTime() {
+        const tests = [
+            [[null], null],
+            [[''], null],
+            [['8'], null],
+            [['24:00'], null],
+            [['8:60'], null],
+            [['0:00'], 0],
+            [['8:40'], 520],
+            [['08:40'], 520],
+            [['17:05'], 1025],
+        ];
+        return Test.run(parseTime, tests);
+    }
+}
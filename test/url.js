@@ -0,0 +1,81 @@
+/**
+ * Unit tests for URL query string functions
+ * @module test/url
+ */
+
+import { copyFilters } from '../public/filter.js';
+import { decodeInputs, encodeInputs, getDefaultInputs } from '../public/url.js';
+import Test from '../scripts/test.js';
+
+const defaults = {
+    address: '',
+    menus: {
+        sort: 'name',
+        grade: '',
+        language: [],
+        within: '',
+    },
+};
+
+const inputs = {
+    address: '2995 Sloat Blvd',
+    menus: {
+        sort: 'distance',
+        grade: 'k',
+        language: ['Spanish', 'Chinese'],
+        within: '2',
+    },
+};
+
+const known = {
+    grade: ['k', '1'],
+    language: ['Chinese', 'Spanish'],
+};
+
+const query = '?address=2995+Sloat+Blvd&sort=distance&grade=k&language=Spanish&language=Chinese&within=2';
+
+export default class URLTest {
+    static decodeInputs() {
+        const tests = [
+            [['', defaults], null],
+            [['?foo=bar', defaults], null],
+            [['?language=', defaults], {...defaults, menus: {...defaults.menus, language: []}}],
+            [['?language=Spanish', defaults], {...defaults, menus: {...defaults.menus, language: ['Spanish']}}],
+            [[query, defaults], inputs],
+            [['?grade=k', defaults], {...defaults, menus: {...defaults.menus, grade: 'k'}}],
+            [['?sort=distance:asc,math:desc', defaults], {...defaults, menus: {...defaults.menus, sort: 'distance:asc,math:desc'}}],
+            [['?anchor=1+Dr+Carlton+B+Goodlett+Pl', defaults], null],
+            [['?anchor=1+Dr+Carlton+B+Goodlett+Pl', {...defaults, anchor: ''}], {...defaults, anchor: '1 Dr Carlton B Goodlett Pl'}],
+            [[query, defaults, known], inputs],
+            [['?language=Spanish&language=%3C/select%3E%3Cimg+src=x%3E', defaults, known], {...defaults, menus: {...defaults.menus, language: ['Spanish']}}],
+            [['?grade=%22%3E%3Cimg+src=x%3E', defaults, known], {...defaults, menus: {...defaults.menus}}],
+            [['?grade=', defaults, known], {...defaults, menus: {...defaults.menus}}],
+        ];
+        return Test.run(decodeInputs, tests);
+    }
+
+    static encodeInputs() {
+        const tests = [
+            [[defaults, defaults], ''],
+            [[inputs, defaults], query],
+            [[{address: '', menus: {sort: 'name', grade: 3}}, defaults], '?grade=3'],
+            [[{address: '', menus: {sort: 'distance:asc,math:desc'}}, defaults], '?sort=distance:asc,math:desc'],
+            [[{...inputs, anchor: '1 Dr Carlton B Goodlett Pl'}, defaults], query.replace('&', '&anchor=1+Dr+Carlton+B+Goodlett+Pl&')],
+        ];
+        return Test.run(encodeInputs, tests);
+    }
+
+    static getDefaultInputs() {
+        const tests = [
+            [['sort'], 'name'],
+            [['neighborhood'], []],
+            [['mode'], 'drive'],
+        ];
+        // Every filter needs a default, so it can be encoded in URLs.
+        const filters = Object.keys(copyFilters({}));
+        const missing = filters.filter(name => !(name in getDefaultInputs().menus));
+        tests.push([['missing'], []]);
+        const getDefaultMenu = name => (name === 'missing') ? missing : getDefaultInputs().menus[name];
+        return Test.run(getDefaultMenu, tests);
+    }
+}